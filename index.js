@@ -1,31 +1,79 @@
 /* eslint-disable no-case-declarations */
 const axios = require("axios");
+const http = require("http");
 const io = require("socket.io-client");
 const chalk = require('chalk');
 const readline = require("readline");
 const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
 const sanitizeHtml = require("sanitize-html");
 
-/** @type {Map<string, Function>} */
+/** @type {Map<string, Object>} Global commands registered with `command()`, by name */
+const commandEntries = new Map();
+/** @type {Map<string, Function>} The handler of each global command, as before commands had options */
 const commandDict = new Map();
 
 /** @constant {string} */
 const DOMAIN = "slchat.alwaysdata.net";
 /** @constant {number} */
 const RATE_LIMIT_MS = 1000;
+/** @constant {number} How long `stop()` waits after the last sent message before disconnecting */
+const SHUTDOWN_GRACE_MS = 250;
 /** @constant {number} */
 const CACHE_TTL_MS = 30 * 60 * 1000;
+/** @constant {number} */
+const CACHE_PRUNE_INTERVAL_MS = 60 * 1000;
 
 // Configuration Validation
 const defaultConfig = {
     prefix: "!",
+    mentionPrefix: false,
+    caseInsensitivePrefix: false,
+    baseUrl: `https://${DOMAIN}`,
+    cli: false,
+    globalCommands: true,
     onError: console.error,
     onStart: () => {},
     onMessage: () => {},
     autoReconnect: true,
     maxMessageLength: 2000,
     reconnectAttempts: 5,
-    reconnectBaseDelay: 1000
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 30000,
+    helpCommand: true,
+    suggestCommands: true,
+    owners: [],
+    splitLongMessages: true,
+    quoteReplies: true,
+    echoTimeout: 10000,
+    markdown: false,
+    serverSyncInterval: 5 * 60 * 1000,
+    cacheBackend: "memory",
+    cachePath: ".slchat-cache.json",
+    storeBackend: "memory",
+    storePath: ".slchat-store.jsonl",
+    cacheMaxSize: 1000,
+    cacheTTL: {},
+    requestTimeout: 10000,
+    requestRetries: 3,
+    retryBaseDelay: 500,
+    maxQueueSize: 50,
+    queuePolicy: "dropOldest",
+    schedulePath: null,
+    logLevel: "info",
+    logFormat: "pretty",
+    logFile: null,
+    logger: null,
+    metricsPort: null,
+    metricsHost: "127.0.0.1",
+    moderation: null,
+    shutdownTimeout: 10000,
+    handleSignals: false,
+    deniedMessage: (reason, ctx, details) => reason === "cooldown"
+        ? `embed:warn:Slow down! Try again in ${Math.ceil(details.remaining / 1000)}s.`
+        : "embed:error:You don't have permission to use this command."
 };
 
 /**
@@ -34,21 +82,284 @@ const defaultConfig = {
  */
 function validateConfig(config) {
     const validated = { ...defaultConfig, ...config };
-    if (typeof validated.prefix !== "string" || !validated.prefix) {
+    if (Array.isArray(validated.prefix)) {
+        validated.prefix = validated.prefix.filter(prefix => typeof prefix === "string" && prefix);
+        if (!validated.prefix.length) validated.prefix = defaultConfig.prefix;
+    } else if (typeof validated.prefix !== "function" && (typeof validated.prefix !== "string" || !validated.prefix)) {
         validated.prefix = defaultConfig.prefix;
     }
     if (typeof validated.maxMessageLength !== "number" || validated.maxMessageLength < 100) {
         validated.maxMessageLength = defaultConfig.maxMessageLength;
     }
+    if (typeof validated.maxQueueSize !== "number" || validated.maxQueueSize < 1) {
+        validated.maxQueueSize = defaultConfig.maxQueueSize;
+    }
+    if (!["dropOldest", "dropNewest", "merge"].includes(validated.queuePolicy)) {
+        validated.queuePolicy = defaultConfig.queuePolicy;
+    }
+    if (typeof validated.baseUrl !== "string" || !/^https?:\/\//.test(validated.baseUrl)) {
+        validated.baseUrl = defaultConfig.baseUrl;
+    }
+    validated.baseUrl = validated.baseUrl.replace(/\/+$/, "");
+    if (typeof validated.cacheTTL === "number") {
+        validated.cacheTTL = { default: validated.cacheTTL };
+    } else if (!validated.cacheTTL || typeof validated.cacheTTL !== "object") {
+        validated.cacheTTL = {};
+    }
+    if (typeof validated.cacheMaxSize !== "number" || validated.cacheMaxSize < 1) {
+        validated.cacheMaxSize = defaultConfig.cacheMaxSize;
+    }
+    validated.owners = Array.isArray(validated.owners) ? validated.owners.map(String) : [];
+    if (validated.metricsPort !== null && !(Number.isInteger(validated.metricsPort) && validated.metricsPort >= 0 && validated.metricsPort <= 65535)) {
+        validated.metricsPort = defaultConfig.metricsPort;
+    }
+    for (const key of ["reconnectAttempts", "reconnectBaseDelay", "reconnectMaxDelay"]) {
+        if (typeof validated[key] !== "number" || validated[key] < 0) validated[key] = defaultConfig[key];
+    }
+    if (typeof validated.shutdownTimeout !== "number" || validated.shutdownTimeout < 0) {
+        validated.shutdownTimeout = defaultConfig.shutdownTimeout;
+    }
+    if (typeof validated.logLevel === "string" && !(validated.logLevel in LOG_LEVELS)) {
+        validated.logLevel = defaultConfig.logLevel;
+    }
     return validated;
 }
 
 // Logging Utilities
+/** @type {Object<string, number>} */
+const LOG_LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+/** @type {Object<string, Function>} */
+const LOG_COLORS = { trace: chalk.gray, debug: chalk.blue, info: chalk.cyan, success: chalk.green, warn: chalk.yellow, error: chalk.red };
+
+/**
+ * @typedef {Object} LogRecord
+ * @property {string} time ISO timestamp
+ * @property {"trace"|"debug"|"info"|"warn"|"error"} level
+ * @property {string} namespace Such as `socket`, `send`, `command` or `cache`; empty for the root logger
+ * @property {string} message
+ * @property {boolean} [success] Set by `logger.success()`, which logs at `info`
+ * @property {{name: string, message: string, stack?: string}} [error]
+ * @property {Object} [data]
+ */
+
+/**
+ * @param {LogRecord} record
+ * @param {boolean} [colors=true]
+ * @returns {string}
+ */
+function formatLogPretty(record, colors = true) {
+    const paint = (style, text) => colors ? style(text) : text;
+    const label = record.success ? "success" : record.level;
+    let line = `[${record.time}] ${paint(LOG_COLORS[label], label.toUpperCase().padEnd(7))}`;
+    if (record.namespace) line += ` ${paint(chalk.magenta, `[${record.namespace}]`)}`;
+    line += ` ${record.message}`;
+    if (record.data) line += ` ${util.inspect(record.data, { colors, breakLength: Infinity })}`;
+    if (record.error) line += record.error.stack ? `\n${paint(chalk.red, record.error.stack)}` : `: ${paint(chalk.red, record.error.message)}`;
+    return line;
+}
+
+/**
+ * @param {LogRecord} record
+ * @returns {string}
+ */
+function formatLogJson(record) {
+    return JSON.stringify(record);
+}
+
+/** Writes log records to stdout, and warnings and errors to stderr. */
+class ConsoleTransport {
+    /**
+     * @param {{format?: "pretty"|"json"}} [options]
+     */
+    constructor(options = {}) {
+        this.format = options.format === "json" ? "json" : "pretty";
+    }
+
+    /**
+     * @param {LogRecord} record
+     */
+    write(record) {
+        const line = this.format === "json" ? formatLogJson(record) : formatLogPretty(record);
+        if (LOG_LEVELS[record.level] >= LOG_LEVELS.warn) console.error(line);
+        else console.log(line);
+    }
+}
+
+/**
+ * Appends log records to a file, one per line. When the file would grow past `maxSize` it is
+ * renamed to `<path>.1` (older files shift to `.2`, `.3`, ...) and only `maxFiles` rotated files are kept.
+ */
+class FileTransport {
+    /**
+     * @param {{path: string, format?: "pretty"|"json", maxSize?: number, maxFiles?: number}} options
+     */
+    constructor(options) {
+        if (!options || !options.path) throw new Error("FileTransport needs a path");
+        this.path = path.resolve(options.path);
+        this.format = options.format === "pretty" ? "pretty" : "json";
+        this.maxSize = options.maxSize !== undefined ? options.maxSize : 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : 5;
+        try {
+            this.size = fs.statSync(this.path).size;
+        } catch {
+            this.size = 0;
+        }
+    }
+
+    /**
+     * @param {LogRecord} record
+     */
+    write(record) {
+        const line = `${this.format === "json" ? formatLogJson(record) : formatLogPretty(record, false)}\n`;
+        const bytes = Buffer.byteLength(line);
+        try {
+            if (this.maxSize && this.size > 0 && this.size + bytes > this.maxSize) this.rotate();
+            fs.appendFileSync(this.path, line);
+            this.size += bytes;
+        } catch (err) {
+            // The logger can't report its own failures through itself
+            console.error(chalk.red(`[ERROR - FileTransport [${this.path}]]`), err.message);
+        }
+    }
+
+    rotate() {
+        const rotated = index => `${this.path}.${index}`;
+        if (this.maxFiles < 1) {
+            fs.rmSync(this.path, { force: true });
+        } else {
+            fs.rmSync(rotated(this.maxFiles), { force: true });
+            for (let i = this.maxFiles - 1; i >= 1; i--) {
+                if (fs.existsSync(rotated(i))) fs.renameSync(rotated(i), rotated(i + 1));
+            }
+            fs.renameSync(this.path, rotated(1));
+        }
+        this.size = 0;
+    }
+}
+
+/**
+ * Levelled logger with namespaces. Children created with `child(namespace)` share their parent's
+ * levels and transports, so `setLevel` on any of them applies to all.
+ */
+class Logger {
+    /**
+     * @param {Object} [options]
+     * @param {string|Object<string, string>} [options.level="info"] Minimum level, or levels by namespace plus a `default`, e.g. `{ default: "info", send: "debug" }`
+     * @param {"pretty"|"json"} [options.format="pretty"] Console output format
+     * @param {string|Object} [options.file] Also log to a file: a path, or `FileTransport` options
+     * @param {Array<{write: (record: LogRecord) => void}>} [options.transports] Replaces the console and file transports
+     */
+    constructor(options = {}) {
+        this.namespace = options.namespace || "";
+        this.shared = options.shared || {
+            levels: {},
+            transports: options.transports || [
+                new ConsoleTransport({ format: options.format }),
+                ...(options.file ? [new FileTransport(typeof options.file === "string" ? { path: options.file } : options.file)] : [])
+            ],
+            /** @type {Map<string, Logger>} */
+            children: new Map()
+        };
+        if (!options.shared) this.setLevel(options.level || "info");
+    }
+
+    /**
+     * @param {string} namespace Appended to this logger's namespace with `:`
+     * @returns {Logger}
+     */
+    child(namespace) {
+        const name = this.namespace ? `${this.namespace}:${namespace}` : namespace;
+        if (!this.shared.children.has(name)) {
+            this.shared.children.set(name, new Logger({ namespace: name, shared: this.shared }));
+        }
+        return this.shared.children.get(name);
+    }
+
+    /**
+     * @param {string|Object<string, string>} level A level name, or levels by namespace
+     * @param {string} [namespace] Only set the level for this namespace and its children
+     */
+    setLevel(level, namespace) {
+        const levels = typeof level === "object" && level ? level : { [namespace || "default"]: level };
+        for (const [key, value] of Object.entries(levels)) {
+            if (!(value in LOG_LEVELS)) throw new Error(`Invalid log level "${value}" (expected one of: ${Object.keys(LOG_LEVELS).join(", ")})`);
+            this.shared.levels[key] = value;
+        }
+    }
+
+    /**
+     * @param {string} level
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        const { levels } = this.shared;
+        let threshold = levels.default || "info";
+        const parts = this.namespace ? this.namespace.split(":") : [];
+        // The most specific configured namespace wins
+        for (let i = parts.length; i > 0; i--) {
+            const key = parts.slice(0, i).join(":");
+            if (levels[key]) {
+                threshold = levels[key];
+                break;
+            }
+        }
+        return LOG_LEVELS[level] >= LOG_LEVELS[threshold];
+    }
+
+    /**
+     * @param {string} level
+     * @param {string} message
+     * @param {Error|Object|string} [extra] An error, or data to attach to the record
+     * @param {boolean} [success]
+     */
+    _write(level, message, extra, success) {
+        if (!this.isLevelEnabled(level)) return;
+        const record = { time: new Date().toISOString(), level, namespace: this.namespace, message: String(message) };
+        if (success) record.success = true;
+        if (extra instanceof Error) {
+            record.error = { name: extra.name, message: extra.message, stack: extra.stack };
+        } else if (typeof extra === "string") {
+            record.error = { name: "Error", message: extra };
+        } else if (extra !== undefined && extra !== null) {
+            record.data = extra;
+        }
+        for (const transport of this.shared.transports) transport.write(record);
+    }
+
+    trace(message, extra) {
+        this._write("trace", message, extra);
+    }
+
+    debug(message, extra) {
+        this._write("debug", message, extra);
+    }
+
+    info(message, extra) {
+        this._write("info", message, extra);
+    }
+
+    success(message, extra) {
+        this._write("info", message, extra, true);
+    }
+
+    warn(message, extra) {
+        this._write("warn", message, extra);
+    }
+
+    error(message, extra) {
+        this._write("error", message, extra);
+    }
+}
+
+/** Logger used by the module-level helpers and by code that doesn't belong to a bot. */
+const defaultLogger = new Logger();
+
 /**
  * @param {...any} args
  */
 function log(...args) {
-    console.log(`[${new Date().toISOString()}]`, ...args);
+    defaultLogger.info(util.format(...args));
 }
 
 /**
@@ -56,33 +367,488 @@ function log(...args) {
  * @param {Error|string} err
  */
 function errorLog(location, err) {
-    console.error(chalk.red(`[ERROR - ${location}]`), err.stack || err);
+    defaultLogger.error(location, err);
 }
 
 /**
  * @param {string} msg
  */
 function successLog(msg) {
-    console.log(chalk.green(`[SUCCESS] ${msg}`));
+    defaultLogger.success(msg);
 }
 
 function infoLog(msg) {
-    console.log(chalk.blue(`[INFO] ${msg}`));
-}   
+    defaultLogger.info(msg);
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Argument Parsing
+class ArgumentError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} [argName]
+     */
+    constructor(message, argName) {
+        super(message);
+        this.name = "ArgumentError";
+        this.argName = argName || null;
+    }
+}
+
+/**
+ * Converters for argument types. Each returns `undefined` when the raw value is invalid.
+ * Custom types can be registered by adding a key to this object.
+ * @type {Object<string, (raw: string, def: Object) => any>}
+ */
+const ARG_TYPES = {
+    string: raw => raw,
+    int: raw => /^[-+]?\d+$/.test(raw) ? parseInt(raw, 10) : undefined,
+    number: raw => raw.trim() && Number.isFinite(Number(raw)) ? Number(raw) : undefined,
+    boolean: raw => {
+        const value = raw.toLowerCase();
+        if (["true", "yes", "y", "on", "1"].includes(value)) return true;
+        if (["false", "no", "n", "off", "0"].includes(value)) return false;
+        return undefined;
+    },
+    user: raw => {
+        const match = raw.match(/^@?([\w-]+)$/);
+        return match ? match[1] : undefined;
+    },
+    server: raw => /^[\w-]+$/.test(raw) ? raw : undefined,
+    url: raw => {
+        try {
+            const url = new URL(raw);
+            return ["http:", "https:"].includes(url.protocol) ? url.href : undefined;
+        } catch {
+            return undefined;
+        }
+    },
+    enum: (raw, def) => (def.choices || []).find(choice => String(choice).toLowerCase() === raw.toLowerCase())
+};
+
+/**
+ * Splits input on whitespace, keeping "double" or 'single' quoted sections together. A quote only
+ * opens a section at the start of a word, so apostrophes like `don't` are kept as they are.
+ * @param {string} input
+ * @returns {Array<{value: string, quoted: boolean}>}
+ * @throws {ArgumentError} If a quoted section is never closed
+ */
+function splitTokens(input) {
+    const tokens = [];
+    let current = "";
+    let quote = null;
+    let quoted = false;
+    let started = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (char === "\\" && i + 1 < input.length) {
+            current += input[++i];
+            started = true;
+        } else if (quote) {
+            if (char === quote) quote = null;
+            else current += char;
+        } else if ((char === "\"" || char === "'") && !started) {
+            quote = char;
+            quoted = true;
+            started = true;
+        } else if (/\s/.test(char)) {
+            if (started) tokens.push({ value: current, quoted });
+            current = "";
+            quoted = false;
+            started = false;
+        } else {
+            current += char;
+            started = true;
+        }
+    }
+    if (quote) throw new ArgumentError(`Missing closing ${quote} in the arguments`);
+    if (started) tokens.push({ value: current, quoted });
+    return tokens;
+}
+
+/**
+ * Like `splitTokens`, but never throws: with an unclosed quote, it splits on whitespace only.
+ * @param {string} input
+ * @returns {string[]}
+ */
+function tokenize(input) {
+    if (!input || typeof input !== "string") return [];
+    try {
+        return splitTokens(input).map(token => token.value);
+    } catch (err) {
+        if (!(err instanceof ArgumentError)) throw err;
+        return input.trim().split(/\s+/);
+    }
+}
+
+/**
+ * @param {string} raw
+ * @param {Object} def
+ * @param {string} label
+ * @returns {any}
+ */
+function convertArg(raw, def, label) {
+    const type = def.type || "string";
+    const converter = ARG_TYPES[type];
+    if (!converter) throw new Error(`Unknown argument type '${type}' for ${label}`);
+
+    const value = converter(raw, def);
+    if (value === undefined) {
+        const expected = type === "enum" ? `one of ${(def.choices || []).join(", ")}` : `a valid ${type}`;
+        throw new ArgumentError(`Invalid value for ${label}: expected ${expected}, got "${raw}"`, def.name);
+    }
+    if (typeof value === "number") {
+        if (def.min !== undefined && value < def.min) throw new ArgumentError(`${label} must be at least ${def.min}`, def.name);
+        if (def.max !== undefined && value > def.max) throw new ArgumentError(`${label} must be at most ${def.max}`, def.name);
+    }
+    return value;
+}
+
+/**
+ * Parses a raw argument string against a command schema.
+ * @param {string} input
+ * @param {{args?: Object[], flags?: Object[]}} [schema]
+ * @returns {Object<string, any>}
+ * @throws {ArgumentError}
+ */
+function parseArgs(input, schema = {}) {
+    const argDefs = schema.args || [];
+    const flagDefs = schema.flags || [];
+    const tokens = splitTokens(input || "");
+    const result = {};
+    const positional = [];
+
+    for (const def of flagDefs) {
+        result[def.name] = def.default !== undefined ? def.default : (def.type || "boolean") === "boolean" ? false : undefined;
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.quoted || !token.value.startsWith("-") || token.value === "-" || /^-\d/.test(token.value)) {
+            positional.push(token.value);
+            continue;
+        }
+        if (token.value === "--") {
+            positional.push(...tokens.slice(i + 1).map(t => t.value));
+            break;
+        }
+
+        const isLong = token.value.startsWith("--");
+        let key = token.value.slice(isLong ? 2 : 1);
+        let inline;
+        const eq = key.indexOf("=");
+        if (eq !== -1) {
+            inline = key.slice(eq + 1);
+            key = key.slice(0, eq);
+        }
+
+        let negated = false;
+        let def = flagDefs.find(f => isLong ? f.name === key : f.alias === key);
+        if (!def && isLong && key.startsWith("no-")) {
+            def = flagDefs.find(f => f.name === key.slice(3) && (f.type || "boolean") === "boolean");
+            negated = Boolean(def);
+        }
+        if (!def) throw new ArgumentError(`Unknown option ${token.value}`, key);
+
+        const label = `--${def.name}`;
+        if ((def.type || "boolean") === "boolean") {
+            result[def.name] = inline !== undefined ? convertArg(inline, def, label) : !negated;
+            continue;
+        }
+        const raw = inline !== undefined ? inline : tokens[++i]?.value;
+        if (raw === undefined) throw new ArgumentError(`Option ${label} requires a value`, def.name);
+        result[def.name] = convertArg(raw, def, label);
+    }
+
+    let index = 0;
+    for (const def of argDefs) {
+        const label = `<${def.name}>`;
+        if (def.rest) {
+            const rest = positional.slice(index);
+            index = positional.length;
+            if (!rest.length) {
+                if (!def.optional && def.default === undefined) throw new ArgumentError(`Missing required argument ${label}`, def.name);
+                result[def.name] = def.default;
+            } else {
+                result[def.name] = (def.type || "string") === "string"
+                    ? rest.join(" ")
+                    : rest.map(raw => convertArg(raw, def, label));
+            }
+            continue;
+        }
+
+        const raw = positional[index++];
+        if (raw === undefined) {
+            if (!def.optional && def.default === undefined) throw new ArgumentError(`Missing required argument ${label}`, def.name);
+            result[def.name] = def.default;
+            continue;
+        }
+        result[def.name] = convertArg(raw, def, label);
+    }
+
+    if (index < positional.length) {
+        throw new ArgumentError(`Too many arguments: unexpected "${positional[index]}"`);
+    }
+    return result;
+}
+
+/**
+ * Builds a usage line such as `!ban <user> [days=1] [reason...] [--silent]`.
+ * @param {string} name
+ * @param {{args?: Object[], flags?: Object[]}} [schema]
+ * @param {string} [prefix]
+ * @returns {string}
+ */
+function formatUsage(name, schema = {}, prefix = "!") {
+    const describe = def => {
+        const label = def.type === "enum" && def.choices ? `${def.name}:${def.choices.join("|")}` : def.name;
+        return def.rest ? `${label}...` : label;
+    };
+    const args = (schema.args || []).map(def => {
+        if (!def.optional && def.default === undefined) return `<${describe(def)}>`;
+        return def.default !== undefined ? `[${describe(def)}=${def.default}]` : `[${describe(def)}]`;
+    });
+    const flags = (schema.flags || []).map(def => {
+        const type = def.type || "boolean";
+        return type === "boolean" ? `[--${def.name}]` : `[--${def.name} <${type === "enum" && def.choices ? def.choices.join("|") : type}>]`;
+    });
+    return [`${prefix}${name}`, ...args, ...flags].join(" ");
+}
+
+/**
+ * @typedef {Object} CommandOptions
+ * @property {string} [description]
+ * @property {string} [usage] Overrides the generated usage line
+ * @property {string} [category]
+ * @property {string[]} [aliases]
+ * @property {boolean} [hidden] Leave the command out of the help listing
+ * @property {number|{user?: number, server?: number, global?: number}} [cooldown] Cooldown in ms; a number is per-user
+ * @property {string[]} [allowUsers] Only these user ids may run the command
+ * @property {string[]} [denyUsers] These user ids may never run the command
+ * @property {boolean} [ownerOnly] Only the ids in the bot's `owners` option may run the command
+ * @property {boolean} [serverOwnerOnly] Only the owner of the server (from `getServer`) may run the command
+ * @property {(ctx: Context, server: ?Object) => boolean|Promise<boolean>} [check] Custom guard
+ * @property {string|((reason: string, ctx: Context, details: Object) => ?string)} [deniedMessage] Reply when a guard rejects the call
+ * @property {Object[]} [args]
+ * @property {Object[]} [flags]
+ * @property {Object<string, CommandOptions & {run?: Function}>} [subcommands]
+ */
+
+/**
+ * @param {string} name
+ * @param {?Function} func
+ * @param {CommandOptions} options
+ * @param {string} [parentPath]
+ * @returns {Object}
+ */
+function buildCommand(name, func, options, parentPath = "") {
+    const commandPath = parentPath ? `${parentPath} ${name}` : name;
+    const subOptions = options.subcommands || {};
+    if (typeof func !== "function" && !Object.keys(subOptions).length) {
+        throw new Error(`Invalid command '${commandPath}': func must be a function unless subcommands are given`);
+    }
+    for (const def of [...(options.args || []), ...(options.flags || [])]) {
+        if (!def || !def.name) throw new Error(`Invalid command '${commandPath}': every argument and flag needs a name`);
+        if (def.type && !ARG_TYPES[def.type]) throw new Error(`Invalid command '${commandPath}': unknown argument type '${def.type}'`);
+    }
+
+    const entry = {
+        name,
+        path: commandPath,
+        func: typeof func === "function" ? func : null,
+        schema: options.args || options.flags ? { args: options.args || [], flags: options.flags || [] } : null,
+        description: options.description || "",
+        usage: options.usage || "",
+        category: options.category || "General",
+        aliases: (options.aliases || []).map(alias => alias.toLowerCase()),
+        hidden: Boolean(options.hidden),
+        guards: {
+            cooldown: typeof options.cooldown === "number" ? { user: options.cooldown } : { ...options.cooldown },
+            allowUsers: options.allowUsers ? options.allowUsers.map(String) : null,
+            denyUsers: options.denyUsers ? options.denyUsers.map(String) : null,
+            ownerOnly: Boolean(options.ownerOnly),
+            serverOwnerOnly: Boolean(options.serverOwnerOnly),
+            check: typeof options.check === "function" ? options.check : null,
+            deniedMessage: options.deniedMessage || null
+        },
+        parent: null,
+        /** @type {Map<string, Object>} */
+        subcommands: new Map()
+    };
+    for (const [subName, sub] of Object.entries(subOptions)) {
+        const key = subName.toLowerCase();
+        const child = buildCommand(key, sub.run, sub, commandPath);
+        child.parent = entry;
+        entry.subcommands.set(key, child);
+    }
+    return entry;
+}
+
+/**
+ * Looks a command up by name or alias.
+ * @param {Map<string, Object>} registry
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function findCommand(registry, name) {
+    if (!name) return null;
+    const key = name.toLowerCase();
+    if (registry.has(key)) return registry.get(key);
+    for (const entry of registry.values()) {
+        if (entry.aliases.includes(key)) return entry;
+    }
+    return null;
+}
 
 /**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Finds the registered name or alias closest to `name`, if any is close enough.
+ * @param {string} name
+ * @param {Map<string, Object>} [registry]
+ * @returns {string|null}
+ */
+function suggestCommand(name, registry = commandEntries) {
+    const threshold = Math.max(2, Math.floor(name.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+    for (const entry of registry.values()) {
+        if (entry.hidden) continue;
+        for (const candidate of [entry.name, ...entry.aliases]) {
+            const distance = levenshtein(name, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+    }
+    return bestDistance <= threshold ? best : null;
+}
+
+/**
+ * @param {Object} user Response of `/api/user/:id/`
+ * @returns {string[]}
+ */
+function parseServerIds(user) {
+    return (user.servers || []).map(s => {
+        if (typeof s === "string") return s;
+        return s.id ? s.id.toString() : null;
+    }).filter(id => id !== null);
+}
+
+/**
+ * Reads the owner id from server data, given as `owner` (id or object) or `owner_id`.
+ * @param {?Object} server
+ * @returns {string|null}
+ */
+function getServerOwnerId(server) {
+    if (!server) return null;
+    const owner = server.owner?.id ?? server.owner_id ?? server.owner;
+    return owner === undefined || owner === null || typeof owner === "object" ? null : String(owner);
+}
+
+/**
+ * @param {Map<string, Object>} registry
  * @param {string} name
- * @param {Function} func
+ * @param {?Function} func
+ * @param {CommandOptions} [options]
+ * @param {Logger} [logger]
+ * @returns {Object} The registered command
  */
-function command(name, func) {
-    if (!name || typeof name !== "string" || typeof func !== "function") {
-        throw new Error("Invalid command: name must be a non-empty string and func must be a function");
+function registerCommand(registry, name, func, options = {}, logger = defaultLogger.child("command")) {
+    if (!name || typeof name !== "string") {
+        throw new Error("Invalid command: name must be a non-empty string");
     }
-    if (commandDict.has(name)) {
-        log(chalk.yellow(`[WARN] Overwriting command '${name}'`));
+    const key = name.toLowerCase();
+    const entry = buildCommand(key, func, options);
+    if (registry.has(key)) {
+        logger.warn(`Overwriting command '${key}'`);
+    }
+    for (const alias of entry.aliases) {
+        const owner = findCommand(registry, alias);
+        if (owner && owner.name !== key) {
+            logger.warn(`Alias '${alias}' of '${key}' shadows command '${owner.name}'`);
+        }
     }
-    commandDict.set(name, func);
-    successLog(`Registered command: ${name}`);
+    registry.set(key, entry);
+    logger.debug(`Registered command: ${key}`);
+    return entry;
+}
+
+/**
+ * Registers a command shared by every `Bot` in the process (unless it sets `globalCommands: false`).
+ * Use `bot.command()` for commands of a single bot.
+ * @param {string} name
+ * @param {?Function} func
+ * @param {CommandOptions} [options]
+ */
+function command(name, func, options = {}) {
+    const entry = registerCommand(commandEntries, name, func, options);
+    if (entry.func) commandDict.set(entry.name, entry.func);
+    else commandDict.delete(entry.name);
+}
+
+// Plugins
+/**
+ * @typedef {Object} Plugin
+ * @property {string} [name] Defaults to the file or folder name
+ * @property {Object<string, CommandOptions & {run: Function}>|Array<CommandOptions & {name: string, run: Function}>} [commands]
+ * @property {Object<string, Function>} [events] Listeners added to `bot.events`
+ * @property {Function[]} [middleware] Added with `bot.use`
+ * @property {(bot: Bot) => any} [setup] Called after the plugin's commands, events and middleware are registered
+ * @property {(bot: Bot) => any} [teardown] Called before they are removed
+ */
+
+// Middleware
+/**
+ * Chains middleware so each one receives `next()` to hand over to the following one.
+ * @param {Function[]} middleware
+ * @returns {(ctx: Context, last: Function) => Promise<void>}
+ */
+function composeMiddleware(middleware) {
+    return (ctx, last) => {
+        let index = -1;
+        const dispatch = i => {
+            if (i <= index) return Promise.reject(new Error("next() called multiple times"));
+            index = i;
+            const fn = i === middleware.length ? last : middleware[i];
+            if (!fn) return Promise.resolve();
+            try {
+                return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        };
+        return dispatch(0);
+    };
 }
 
 // Message Formatting
@@ -116,12 +882,14 @@ const FORMAT_SHORTCUTS = [
 /**
  * @param {string} input
  * @param {number} maxLength
+ * @param {{markdown?: boolean}} [options] `markdown` renders the input with `renderMarkdown` instead of the line shortcuts
  * @returns {string}
  */
-function formatMessage(input, maxLength = 2000) {
+function formatMessage(input, maxLength = 2000, options = {}) {
     if (!input || typeof input !== "string") return "";
     const trimmed = input.trim().slice(0, maxLength);
     if (!trimmed) return "";
+    if (options.markdown) return formatMarkdown(trimmed);
 
     // Convert newlines to <br> tags before sanitization
     const withBreaks = trimmed.replace(/\n/g, "<br>");
@@ -188,428 +956,4361 @@ function formatMessage(input, maxLength = 2000) {
     return formattedLines;
 }
 
-// Cache Implementation with TTL
-class Cache {
-    constructor() {
-        /** @type {Map<string, {value: any, expiry: number}>} */
-        this.store = new Map();
-    }
+// Markdown Rendering
+/** @constant {Object} */
+const MARKDOWN_SANITIZE_OPTIONS = {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(["img", "u", "del", "br"]),
+    allowedAttributes: { a: ["href"], img: ["src", "alt"] },
+    allowedClasses: { code: ["multiline", "language-*"], p: ["spoiler"], img: ["attachment"] }
+};
 
-    /** @param {string} key */
-    get(key) {
-        const item = this.store.get(key);
-        if (!item) return null;
-        if (Date.now() > item.expiry) {
-            this.store.delete(key);
-            return null;
-        }
-        return item.value;
-    }
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+    return /^(https?:|mailto:|\/(?!\/))/i.test(url);
+}
 
-    /** @param {string} key @param {any} value */
-    set(key, value) {
-        this.store.set(key, { value, expiry: Date.now() + CACHE_TTL_MS });
-    }
+/**
+ * Renders inline Markdown: code spans, links, images, bold, italic, strikethrough and `||spoilers||`.
+ * @param {string} text
+ * @returns {string}
+ */
+function renderInline(text) {
+    const slots = [];
+    const stash = html => `\u0000${slots.push(html) - 1}\u0000`;
 
-    clear() {
-        this.store.clear();
-    }
+    let out = String(text)
+        .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => stash(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(/\\([\\`*_~|[\]()#>!+.-])/g, (m, char) => stash(escapeHtml(char)));
+    out = escapeHtml(out)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, url) => isSafeUrl(url) ? stash(`<img class="attachment" src="${url}" alt="${alt}">`) : m)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => isSafeUrl(url) ? `${stash(`<a href="${url}">`)}${label}${stash("</a>")}` : m)
+        .replace(/&lt;((?:https?|mailto):[^\s]+?)&gt;/g, (m, url) => stash(`<a href="${url}">${url}</a>`))
+        .replace(/\|\|(?=\S)(.+?)\|\|/g, "<p class=\"spoiler\">$1</p>")
+        .replace(/\*\*\*(?=\S)(.+?)(?<=\S)\*\*\*/g, "<strong><em>$1</em></strong>")
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "<strong>$2</strong>")
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "<del>$1</del>")
+        .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, "<em>$1</em>")
+        .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, "$1<em>$2</em>");
+    return out.replace(/\u0000(\d+)\u0000/g, (m, index) => slots[index]);
 }
 
-// Bot Implementation
-class Bot {
+/**
+ * @param {Array<{indent: number, ordered: boolean, text: string}>} items
+ * @returns {string}
+ */
+function renderList(items) {
+    const base = items[0].indent;
+    const tag = items[0].ordered ? "ol" : "ul";
+    let html = "";
+    let i = 0;
+    while (i < items.length) {
+        const item = items[i++];
+        const children = [];
+        while (i < items.length && items[i].indent > base) children.push(items[i++]);
+        html += `<li>${renderInline(item.text)}${children.length ? renderList(children) : ""}</li>`;
+    }
+    return `<${tag}>${html}</${tag}>`;
+}
+
+/**
+ * Renders Markdown to the HTML slchat displays: headings, fenced code blocks (`code.multiline`),
+ * nested lists, blockquotes, rules and the inline syntax of `renderInline`. Raw HTML is escaped.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function renderMarkdown(markdown) {
+    const lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n");
+    const listItem = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+    const blocks = [];
+    let paragraph = [];
+    const endParagraph = () => {
+        if (paragraph.length) blocks.push({ inline: true, html: paragraph.map(renderInline).join("<br>") });
+        paragraph = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+        if (!line.trim()) {
+            endParagraph();
+            i++;
+        } else if ((match = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/))) {
+            endParagraph();
+            const fence = match[1];
+            const body = [];
+            for (i++; i < lines.length && !lines[i].trim().startsWith(fence); i++) body.push(lines[i]);
+            i++;
+            const language = match[2] ? ` language-${match[2].toLowerCase()}` : "";
+            blocks.push({ inline: true, html: `<code class="multiline${language}">${body.map(escapeHtml).join("<br>")}</code>` });
+        } else if ((match = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+            endParagraph();
+            const level = Math.min(match[1].length, 3);
+            blocks.push({ html: `<h${level}>${renderInline(match[2])}</h${level}>` });
+            i++;
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            endParagraph();
+            blocks.push({ html: "<hr>" });
+            i++;
+        } else if (/^\s*>/.test(line)) {
+            endParagraph();
+            const quoted = [];
+            for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^\s*> ?/, ""));
+            blocks.push({ html: `<blockquote>${renderMarkdown(quoted.join("\n"))}</blockquote>` });
+        } else if (listItem.test(line)) {
+            endParagraph();
+            const items = [];
+            for (; i < lines.length && lines[i].trim(); i++) {
+                const item = lines[i].match(listItem);
+                if (item) {
+                    items.push({ indent: item[1].replace(/\t/g, "    ").length, ordered: /\d/.test(item[2]), text: item[3] });
+                } else if (/^\s/.test(lines[i])) {
+                    items[items.length - 1].text += `\n${lines[i].trim()}`;
+                } else {
+                    break;
+                }
+            }
+            blocks.push({ html: renderList(items).replace(/\n/g, "<br>") });
+        } else {
+            paragraph.push(line.trim());
+            i++;
+        }
+    }
+    endParagraph();
+
+    return blocks.map((block, index) => (index && block.inline && blocks[index - 1].inline ? "<br>" : "") + block.html).join("");
+}
+
+/**
+ * `formatMessage` in Markdown mode. Embed prefixes such as `embed:info:` still apply.
+ * @param {string} input
+ * @returns {string}
+ */
+function formatMarkdown(input) {
+    const embedKey = Object.keys(EMBED_TYPES)
+        .sort((a, b) => b.length - a.length)
+        .find(key => input.toLowerCase().startsWith(`${key}:`));
+    const source = embedKey ? input.slice(embedKey.length + 1).trim() : input;
+    const html = sanitizeHtml(renderMarkdown(source), MARKDOWN_SANITIZE_OPTIONS);
+    if (!embedKey) return html;
+
+    const { className, icon } = EMBED_TYPES[embedKey];
+    const iconHTML = icon ? `<i class="${icon}"></i> ` : "";
+    return `<div class="${className}">${iconHTML}${html}</div>`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    const named = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, entity) => {
+        if (entity[0] !== "#") return named[entity.toLowerCase()] ?? m;
+        const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    });
+}
+
+/**
+ * Reads an attribute from the attribute part of an HTML tag.
+ * @param {string} attrs
+ * @param {string} key
+ * @returns {string} The decoded value, or `""` if missing
+ */
+function htmlAttribute(attrs, key) {
+    const found = attrs.match(new RegExp(`(?:^|\\s)${key}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+    return found ? decodeEntities(found[1] ?? found[2] ?? found[3]) : "";
+}
+
+/** @type {Object<string, string>} */
+const INLINE_MARKS = { strong: "**", b: "**", em: "*", i: "*", del: "~~", s: "~~", strike: "~~" };
+
+/**
+ * Walks slchat HTML and rebuilds it as plain text, or as Markdown that `renderMarkdown` reads back.
+ * @param {string} html
+ * @param {boolean} markdown
+ * @returns {string}
+ */
+function convertHtml(html, markdown) {
+    const frames = [{ tag: null, out: "" }];
+    const lists = [];
+    const marks = [];
+    let code = 0;
+    const top = () => frames[frames.length - 1];
+    const write = text => { top().out += text; };
+    const mark = text => { if (markdown) write(text); };
+    const newline = () => { if (top().out && !top().out.endsWith("\n")) write("\n"); };
+    const escape = text => markdown ? text.replace(/[\\`*_~|[\]]/g, "\\$&") : text;
+
+    const pattern = /<(\/?)([a-zA-Z][\w-]*)([^>]*)>|[^<]+|</g;
+    let match;
+    while ((match = pattern.exec(String(html || "")))) {
+        if (!match[2]) {
+            const text = decodeEntities(match[0]);
+            write(code ? text : escape(text.replace(/\s+/g, " ")));
+            continue;
+        }
+        const closing = Boolean(match[1]);
+        const name = match[2].toLowerCase();
+        const attr = key => htmlAttribute(match[3], key);
+        const multiline = /\bmultiline\b/.test(attr("class")) || name === "pre";
+        const spoiler = /\bspoiler\b/.test(attr("class"));
+
+        switch (name) {
+            case "br":
+                write("\n");
+                break;
+            case "code": case "pre":
+                if (closing) {
+                    if (!code) break;
+                    const frame = frames.pop();
+                    code--;
+                    if (frame.multiline) {
+                        newline();
+                        write(markdown ? `\`\`\`${frame.language}\n${frame.out.replace(/\n+$/, "")}\n\`\`\`\n` : `${frame.out}\n`);
+                    } else {
+                        write(markdown ? `\`${frame.out}\`` : frame.out);
+                    }
+                } else {
+                    code++;
+                    const language = (attr("class").match(/\blanguage-([\w+#.-]+)/) || [])[1] || "";
+                    frames.push({ tag: name, out: "", multiline, language });
+                }
+                break;
+            case "a":
+                if (closing) {
+                    if (top().tag !== "a") break;
+                    const frame = frames.pop();
+                    const label = frame.out.trim();
+                    if (!markdown || !frame.href) write(label || frame.href);
+                    else write(label === escape(frame.href) ? `<${frame.href}>` : `[${label}](${frame.href})`);
+                } else {
+                    frames.push({ tag: "a", out: "", href: attr("href") });
+                }
+                break;
+            case "img": case "audio": case "video": case "source": {
+                const src = attr("src");
+                if (src) write(markdown && name === "img" ? `![${attr("alt")}](${src})` : src);
+                break;
+            }
+            case "blockquote":
+                if (closing) {
+                    if (top().tag !== "blockquote") break;
+                    const frame = frames.pop();
+                    newline();
+                    const body = frame.out.trim().split("\n");
+                    write(`${body.map(line => markdown ? `> ${line}`.trimEnd() : line).join("\n")}\n`);
+                } else {
+                    frames.push({ tag: "blockquote", out: "" });
+                }
+                break;
+            case "ul": case "ol":
+                if (closing) lists.pop();
+                else lists.push({ ordered: name === "ol", index: 0 });
+                newline();
+                break;
+            case "li": {
+                if (closing) break;
+                newline();
+                const list = lists[lists.length - 1] || { ordered: false, index: 0 };
+                const indent = "  ".repeat(Math.max(0, lists.length - 1));
+                write(`${indent}${list.ordered ? `${++list.index}.` : "-"} `);
+                break;
+            }
+            case "h1": case "h2": case "h3": case "h4": case "h5": case "h6":
+                newline();
+                if (!closing) mark(`${"#".repeat(Math.min(Number(name[1]), 3))} `);
+                break;
+            case "hr":
+                newline();
+                mark("---\n");
+                break;
+            default: {
+                if (closing) {
+                    const index = marks.map(open => open.name).lastIndexOf(name);
+                    if (index === -1) break;
+                    const [open] = marks.splice(index, 1);
+                    mark(open.marker);
+                    if (open.block) newline();
+                    break;
+                }
+                // Embed icons are empty `<i class="bx ...">` elements
+                const icon = name === "i" && /\bbx\b/.test(attr("class"));
+                const open = { name, marker: icon ? "" : INLINE_MARKS[name] || (spoiler ? "||" : ""), block: BLOCK_TAGS.has(name) && !spoiler };
+                if (!VOID_TAGS.has(name)) marks.push(open);
+                if (open.block) newline();
+                mark(open.marker);
+            }
+        }
+    }
+    while (frames.length > 1) {
+        const frame = frames.pop();
+        write(frame.out);
+    }
+
+    return frames[0].out
+        .split("\n")
+        .map(line => line.replace(/[ \t]+$/, ""))
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+/**
+ * Converts message HTML to plain text: tags are dropped, entities decoded and
+ * `<br>`/block ends become line breaks. Media elements are replaced by their URL.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return convertHtml(html, false);
+}
+
+/**
+ * Converts message HTML back to Markdown.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToMarkdown(html) {
+    return convertHtml(html, true);
+}
+
+// Message Splitting
+/** @constant {Set<string>} */
+const VOID_TAGS = new Set(["br", "img", "hr", "source", "input", "wbr"]);
+/** @constant {Set<string>} */
+const BLOCK_TAGS = new Set(["div", "p", "pre", "blockquote", "ul", "ol", "li", "h1", "h2", "h3", "h4", "h5", "h6", "code", "audio", "video"]);
+
+/**
+ * Breaks HTML into tags, entities, whitespace runs and words, recording the open tags after each token.
+ * @param {string} html
+ * @param {number} maxWord Longer words are cut into pieces of this size
+ * @returns {Array<{text: string, kind: string, stack: Array<{name: string, open: string}>}>}
+ */
+function scanHtml(html, maxWord) {
+    const tokens = [];
+    let stack = [];
+    const pattern = /<\/?[a-zA-Z][^>]*>|&#?\w+;|\s+|[^\s<&]+|[<&]/g;
+    let match;
+    while ((match = pattern.exec(html))) {
+        const text = match[0];
+        const tag = text.match(/^<(\/?)([a-zA-Z][\w-]*)/);
+        if (tag) {
+            const name = tag[2].toLowerCase();
+            if (tag[1]) {
+                const index = stack.map(open => open.name).lastIndexOf(name);
+                if (index !== -1) stack = stack.slice(0, index);
+                tokens.push({ text, kind: BLOCK_TAGS.has(name) ? "blockEnd" : "tag", stack });
+            } else if (name === "br") {
+                tokens.push({ text, kind: "br", stack });
+            } else {
+                if (!VOID_TAGS.has(name) && !text.endsWith("/>")) stack = [...stack, { name, open: text }];
+                tokens.push({ text, kind: "tag", stack });
+            }
+        } else if (/^\s/.test(text)) {
+            tokens.push({ text, kind: "space", stack });
+        } else {
+            for (let i = 0; i < text.length; i += maxWord) {
+                tokens.push({ text: text.slice(i, i + maxWord), kind: "text", stack });
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * @param {Array<{name: string}>} stack
+ * @returns {string}
+ */
+function closeTags(stack) {
+    return stack.map(open => `</${open.name}>`).reverse().join("");
+}
+
+/**
+ * Splits an HTML message into chunks of at most `maxLength` characters. Prefers breaking at `<br>`
+ * and block ends, then between words, and avoids breaking inside code blocks. Tags still open at a
+ * break are closed at the end of the chunk and reopened at the start of the next one, and count
+ * towards its length. Only tags nested deeper than `maxLength` itself can make a chunk longer.
+ * @param {string} html
+ * @param {number} [maxLength=2000]
+ * @returns {string[]}
+ */
+function splitMessage(html, maxLength = 2000) {
+    if (!html || html.length <= maxLength) return html ? [html] : [];
+
+    const tokens = scanHtml(html, Math.max(1, Math.floor(maxLength / 2)));
+    const inCode = stack => stack.some(open => open.name === "code" || open.name === "pre");
+    const score = (token, before) => {
+        if (token.kind === "br" || token.kind === "blockEnd") return inCode(before) ? 2 : 3;
+        if (token.kind === "space") return inCode(before) ? 1 : 2;
+        return 0;
+    };
+
+    const chunks = [];
+    let start = 0;
+    while (start < tokens.length) {
+        const openStack = start ? tokens[start - 1].stack : [];
+        const prefix = openStack.map(open => open.open).join("");
+        let length = prefix.length;
+        let end = start;
+        const candidates = [];
+
+        for (let i = start; i < tokens.length; i++) {
+            const room = maxLength - length - closeTags(tokens[i].stack).length;
+            if (tokens[i].text.length > room) {
+                if (i > start) break;
+                // Nothing else fits next to the reopened and closing tags, so cut the word to what does
+                if (tokens[i].kind === "text" && room > 0) {
+                    tokens.splice(i + 1, 0, { ...tokens[i], text: tokens[i].text.slice(room) });
+                    tokens[i] = { ...tokens[i], text: tokens[i].text.slice(0, room) };
+                }
+            }
+            length += tokens[i].text.length;
+            end = i;
+            const before = i ? tokens[i - 1].stack : [];
+            const value = i > start ? score(tokens[i], before) : 0;
+            if (value) candidates.push({ index: i, value, length });
+        }
+
+        let cut = end;
+        if (end < tokens.length - 1 && candidates.length) {
+            // Take the best kind of break that still fills at least half a chunk
+            const ranked = [3, 2, 1].map(value => candidates.filter(c => c.value === value).pop()).filter(Boolean);
+            cut = (ranked.find(c => c.length >= maxLength / 2) || ranked[0]).index;
+        }
+
+        // `<br>` and whitespace at a break are dropped; block ends stay with the chunk they close
+        const last = ["br", "space"].includes(tokens[cut].kind) ? cut - 1 : cut;
+        const body = tokens.slice(start, last + 1).map(token => token.text).join("");
+        if (body.replace(/<[^>]*>/g, "").trim() || /<(img|audio|video|source)\b/i.test(body)) {
+            chunks.push(prefix + body + closeTags(last >= start ? tokens[last].stack : openStack));
+        }
+        start = cut + 1;
+    }
+    return chunks;
+}
+
+// REST Client
+class HTTPError extends Error {
+    /**
+     * @param {string} message
+     * @param {{status?: number, method?: string, url?: string, data?: any, cause?: Error}} [details]
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "HTTPError";
+        /** HTTP status code, or `0` when no response was received */
+        this.status = details.status || 0;
+        this.method = details.method || "GET";
+        this.url = details.url || "";
+        this.data = details.data;
+        if (details.cause) this.cause = details.cause;
+    }
+}
+
+class RateLimitError extends HTTPError {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {number} retryAfter Milliseconds the API asked us to wait
+     */
+    constructor(message, details, retryAfter) {
+        super(message, details);
+        this.name = "RateLimitError";
+        this.retryAfter = retryAfter;
+    }
+}
+
+class AuthError extends HTTPError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = "AuthError";
+    }
+}
+
+/** Methods that can be sent twice without changing the result */
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+/** Network errors raised before a request reached the server, so it is safe to send again */
+const UNSENT_ERROR_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+
+/**
+ * @param {string|undefined} header
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RestClient {
     /**
      * @param {Object} options
+     * @param {string} options.baseUrl
+     * @param {() => Object<string, string>} [options.headers] Called before every request
+     * @param {number} [options.timeout=10000]
+     * @param {number} [options.retries=3] Retries for network errors, 5xx and 429 responses. Requests that
+     *   are not idempotent, like POST, are only retried after a 429 or when they could not be sent at all
+     * @param {number} [options.retryBaseDelay=500]
+     * @param {number} [options.maxRetryDelay=30000]
+     * @param {(info: {method: string, url: string, status: number|"error", duration: number}) => void} [options.onResponse]
+     *   Called after every attempt with its duration in seconds
      */
     constructor(options) {
-        const config = validateConfig(options);
-        this.prefix = config.prefix;
-        this.onError = config.onError;
-        this.onStart = config.onStart;
-        this.onMessage = config.onMessage;
-        this.autoReconnect = config.autoReconnect;
-        this.maxMessageLength = config.maxMessageLength;
-        this.reconnectAttempts = config.reconnectAttempts;
-        this.reconnectBaseDelay = config.reconnectBaseDelay;
-        this.token = "";
-        this.botId = "";
-        /** @type {string[]} */
-        this.serverIds = [];
-        /** @type {Map<string, any>} */
-        this.sioInstances = new Map();
-        this.requestsCache = new Cache();
-        this.events = new EventEmitter();
-        /** @type {Map<string, number>} */
-        this.lastSent = new Map();
-        this.performanceMetrics = { messagesSent: 0, commandsProcessed: 0, errors: 0 };
-        this._setupCLI();
+        this.baseUrl = options.baseUrl;
+        this.onResponse = options.onResponse || null;
+        this.headers = options.headers || (() => ({}));
+        this.timeout = options.timeout || 10000;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+        this.retryBaseDelay = options.retryBaseDelay || 500;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        /** @type {Map<string, Promise<any>>} */
+        this.inflight = new Map();
     }
 
-    _setupCLI() {
-        const rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout,
-            historySize: 100
+    /**
+     * @param {string} path Path below `baseUrl`, or an absolute URL
+     * @returns {string}
+     */
+    resolve(path) {
+        return /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`;
+    }
+
+    /**
+     * GET requests for the same URL share one in-flight request.
+     * @param {string} path
+     * @returns {Promise<any>}
+     */
+    get(path) {
+        const url = this.resolve(path);
+        if (this.inflight.has(url)) return this.inflight.get(url);
+        const promise = this.request("GET", url).finally(() => this.inflight.delete(url));
+        this.inflight.set(url, promise);
+        return promise;
+    }
+
+    /**
+     * Sends a form-encoded POST request.
+     * @param {string} path
+     * @param {Object<string, string>} data
+     * @returns {Promise<any>}
+     */
+    post(path, data) {
+        return this.request("POST", path, new URLSearchParams(data).toString(), {
+            "Content-Type": "application/x-www-form-urlencoded"
         });
+    }
 
-        rl.on("line", (input) => {
-            const trimmed = input.trim();
-            if (!trimmed) return;
+    /**
+     * @param {string} method
+     * @param {string} path
+     * @param {any} [data]
+     * @param {Object<string, string>} [headers]
+     * @returns {Promise<any>} Response body
+     * @throws {HTTPError|RateLimitError|AuthError}
+     */
+    async request(method, path, data, headers = {}) {
+        const url = this.resolve(path);
+        const idempotent = IDEMPOTENT_METHODS.has(method.toUpperCase());
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            let wait = null;
+            // A failed POST may still have been applied, so only resend it when it certainly was not
+            let retry = idempotent;
+            const started = Date.now();
+            try {
+                const response = await axios.request({
+                    method,
+                    url,
+                    data,
+                    timeout: this.timeout,
+                    withCredentials: true,
+                    headers: { ...this.headers(), ...headers },
+                    validateStatus: () => true
+                });
+                const { status } = response;
+                this._report(method, url, status, started);
+                if (status < 400) return response.data;
 
-            const [cmd, ...args] = trimmed.split(" ");
-            const command = cmd.toLowerCase();
+                const details = { status, method, url, data: response.data };
+                const message = `HTTP ${status} ${response.statusText || ""}`.trim() + ` for ${method} ${url}`;
+                if (status === 401 || status === 403) throw new AuthError(message, details);
+                if (status === 429) {
+                    wait = parseRetryAfter(response.headers?.["retry-after"]);
+                    error = new RateLimitError(message, details, wait !== null ? wait : this._backoff(attempt));
+                    retry = true;
+                } else if (status >= 500) {
+                    error = new HTTPError(message, details);
+                } else {
+                    throw new HTTPError(message, details);
+                }
+            } catch (err) {
+                if (err instanceof HTTPError) throw err;
+                this._report(method, url, "error", started);
+                error = new HTTPError(`${err.message} for ${method} ${url}`, { method, url, cause: err });
+                if (UNSENT_ERROR_CODES.has(err.code)) retry = true;
+            }
 
-            switch (command) {
-                case "status":
-                    log(`Connected to ${this.serverIds.length} server${this.serverIds.length === 1 ? "" : "s"}`);
-                    log(`Metrics: ${JSON.stringify(this.performanceMetrics)}`);
-                    break;
-                case "listservers":
-                    console.log(this.serverIds.length ? this.serverIds.join("\n") : "(none)");
-                    break;
-                case "change":
-                    if (!args[0] || !args[1]) return console.log("Usage: change <key> <value>");
-                    this.change(args[0], args[1]);
-                    break;
-                case "exit":
-                    log("Exiting bot...");
-                    this.sioInstances.forEach(socket => socket.disconnect());
-                    process.exit(0);
-                    break;
-                case "say":
-                    if (args.length < 2) return console.log("Usage: say <all|server1,server2,...> <message>");
-                    const target = args[0].toLowerCase();
-                    const message = formatMessage(args.slice(1).join(" "), this.maxMessageLength);
-                    const targets = target === "all" ? this.serverIds : target.split(",").map(s => s.trim()).filter(Boolean);
+            if (!retry || attempt >= this.retries) throw error;
+            await new Promise(resolve => setTimeout(resolve, Math.min(wait !== null ? wait : this._backoff(attempt), this.maxRetryDelay)));
+        }
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} url
+     * @param {number|"error"} status
+     * @param {number} started
+     */
+    _report(method, url, status, started) {
+        if (!this.onResponse) return;
+        try {
+            this.onResponse({ method, url, status, duration: (Date.now() - started) / 1000 });
+        } catch {
+            // Metrics hooks must not break requests
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter.
+     * @param {number} attempt
+     * @returns {number}
+     */
+    _backoff(attempt) {
+        const delay = Math.min(this.retryBaseDelay * Math.pow(2, attempt), this.maxRetryDelay);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+}
+
+// Cache Implementation with TTL
+/**
+ * In-memory cache backend with per-entry TTL. Once `maxSize` entries are stored, the least
+ * recently used entry is evicted. Custom backends implement the same methods.
+ */
+class MemoryCache {
+    /**
+     * @param {{maxSize?: number}} [options]
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || 1000;
+        /** @type {Map<string, {value: any, expiry: number}>} */
+        this.store = new Map();
+    }
+
+    get size() {
+        return this.store.size;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {any} `undefined` when missing or expired
+     */
+    get(key) {
+        const item = this.store.get(key);
+        if (!item) return undefined;
+        if (Date.now() > item.expiry) {
+            this.delete(key);
+            return undefined;
+        }
+        // Re-insert to mark the entry as most recently used
+        this.store.delete(key);
+        this.store.set(key, item);
+        return item.value;
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} value
+     * @param {number} [ttl=CACHE_TTL_MS]
+     */
+    set(key, value, ttl = CACHE_TTL_MS) {
+        this.store.delete(key);
+        this.store.set(key, { value, expiry: Date.now() + ttl });
+        while (this.store.size > this.maxSize) {
+            this.store.delete(this.store.keys().next().value);
+        }
+    }
+
+    /** @param {string} key */
+    delete(key) {
+        this.store.delete(key);
+    }
+
+    /** @returns {string[]} */
+    keys() {
+        return [...this.store.keys()];
+    }
+
+    clear() {
+        this.store.clear();
+    }
+
+    /**
+     * Removes expired entries.
+     * @returns {number} Number of entries removed
+     */
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, item] of this.store) {
+            if (now > item.expiry) {
+                this.store.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+/** @type {Map<string, FileCache|FileStore>} The open backend of each file in this process */
+const openFiles = new Map();
+
+/**
+ * @param {string} file Absolute path
+ * @param {FileCache|FileStore} owner
+ * @throws {Error} When another open backend already uses the file
+ */
+function claimFile(file, owner) {
+    const current = openFiles.get(file);
+    // Each backend rewrites the file from its own data only, which would wipe the other one's entries
+    if (current && current !== owner) {
+        throw new Error(`${file} is already open in another ${current.constructor.name}; give every bot its own file`);
+    }
+    openFiles.set(file, owner);
+}
+
+/**
+ * @param {string} file
+ * @param {FileCache|FileStore} owner
+ */
+function releaseFile(file, owner) {
+    if (openFiles.get(file) === owner) openFiles.delete(file);
+}
+
+/**
+ * Memory cache that is mirrored to a JSON file, so entries survive restarts. Only one open
+ * `FileCache` or `FileStore` per process may use a file.
+ */
+class FileCache extends MemoryCache {
+    /**
+     * @param {{path?: string, maxSize?: number, saveDelay?: number, logger?: Logger}} [options]
+     * @throws {Error} When the file is already open in this process
+     */
+    constructor(options = {}) {
+        super(options);
+        this.path = path.resolve(options.path || ".slchat-cache.json");
+        this.logger = options.logger || defaultLogger.child("cache");
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 1000;
+        this.saveTimer = null;
+        this.closed = true;
+        this.open();
+    }
+
+    /**
+     * Claims the file and loads it. Called again by `bot.run()` and by the first change after
+     * `close()`, so entries saved by another instance in between are not lost.
+     * @throws {Error} When the file is already open in this process
+     */
+    open() {
+        if (!this.closed) return;
+        claimFile(this.path, this);
+        this.closed = false;
+        this.store.clear();
+        this._load();
+    }
+
+    /**
+     * Saves unsaved changes and releases the file. `bot.stop()` calls it.
+     */
+    close() {
+        if (this.saveTimer) this.flush();
+        this.closed = true;
+        releaseFile(this.path, this);
+    }
+
+    _load() {
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.path, "utf8"));
+            const now = Date.now();
+            for (const [key, item] of entries) {
+                if (item && item.expiry > now) this.store.set(key, item);
+            }
+        } catch (err) {
+            if (err.code !== "ENOENT") this.logger.error(`Failed to load ${this.path}`, err.message);
+        }
+    }
+
+    _scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+        this.saveTimer.unref?.();
+    }
+
+    /**
+     * Writes the cache to disk now. Writes go to a temporary file first so a crash never leaves a half-written cache.
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            const tmp = `${this.path}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify([...this.store]));
+            fs.renameSync(tmp, this.path);
+        } catch (err) {
+            this.logger.error(`Failed to save ${this.path}`, err.message);
+        }
+    }
+
+    set(key, value, ttl) {
+        this.open();
+        super.set(key, value, ttl);
+        this._scheduleSave();
+    }
+
+    delete(key) {
+        this.open();
+        super.delete(key);
+        this._scheduleSave();
+    }
+
+    clear() {
+        this.open();
+        super.clear();
+        this._scheduleSave();
+    }
+
+    prune() {
+        this.open();
+        const removed = super.prune();
+        if (removed) this._scheduleSave();
+        return removed;
+    }
+}
+
+/**
+ * Cache keyed by resource type and id (e.g. `user`, `server`), with a TTL per resource type
+ * and hit/miss statistics.
+ */
+class ResourceCache {
+    /**
+     * @param {MemoryCache} backend Any object with get/set/delete/keys/clear/prune
+     * @param {Object<string, number>} [ttl] TTL in ms per resource type, with a `default` key
+     */
+    constructor(backend, ttl = {}) {
+        this.backend = backend;
+        this.ttl = { default: CACHE_TTL_MS, ...ttl };
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * @param {string} resource
+     * @param {string} id
+     * @returns {string}
+     */
+    key(resource, id) {
+        return `${resource}:${id}`;
+    }
+
+    /**
+     * @param {string} resource
+     * @param {string} id
+     * @returns {any} `undefined` on a miss
+     */
+    get(resource, id) {
+        const value = this.backend.get(this.key(resource, id));
+        if (value === undefined) this.misses++;
+        else this.hits++;
+        return value;
+    }
+
+    /**
+     * @param {string} resource
+     * @param {string} id
+     * @param {any} value
+     * @param {number} [ttl] Defaults to the TTL configured for `resource`
+     */
+    set(resource, id, value, ttl) {
+        const duration = ttl !== undefined ? ttl : this.ttl[resource] !== undefined ? this.ttl[resource] : this.ttl.default;
+        this.backend.set(this.key(resource, id), value, duration);
+    }
+
+    /**
+     * Removes one entry, or every entry of a resource type when `id` is omitted.
+     * @param {string} resource
+     * @param {string} [id]
+     */
+    invalidate(resource, id) {
+        if (id !== undefined) {
+            this.backend.delete(this.key(resource, id));
+            return;
+        }
+        const prefix = `${resource}:`;
+        for (const key of this.backend.keys()) {
+            if (key.startsWith(prefix)) this.backend.delete(key);
+        }
+    }
+
+    clear() {
+        this.backend.clear();
+    }
+
+    /** @returns {number} */
+    prune() {
+        return this.backend.prune();
+    }
+
+    /**
+     * @returns {{hits: number, misses: number, hitRate: number, size: number}}
+     */
+    stats() {
+        const total = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: total ? this.hits / total : 0,
+            size: this.backend.keys().length
+        };
+    }
+}
+
+/**
+ * @param {Object} config Validated bot config
+ * @param {Logger} [logger]
+ * @returns {MemoryCache}
+ */
+function createCacheBackend(config, logger) {
+    if (config.cacheBackend && typeof config.cacheBackend === "object") return config.cacheBackend;
+    if (config.cacheBackend === "file") {
+        return new FileCache({ path: config.cachePath, maxSize: config.cacheMaxSize, logger });
+    }
+    return new MemoryCache({ maxSize: config.cacheMaxSize });
+}
+
+/** Warns once, the first time the old `bot.requestsCache` is used */
+const warnRequestsCache = util.deprecate(() => {}, "bot.requestsCache is deprecated, use bot.cache instead", "SLCHAT_REQUESTS_CACHE");
+
+// Persistent Storage
+/**
+ * @param {any} value
+ * @returns {any} A JSON copy of `value`, so stored data can't be changed by reference
+ */
+function cloneStoreValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * In-memory store backend. Custom backends implement `get`, `set`, `delete` and `keys(prefix)`,
+ * and may return promises.
+ */
+class MemoryStore {
+    constructor() {
+        /** @type {Map<string, any>} */
+        this.data = new Map();
+    }
+
+    get size() {
+        return this.data.size;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {any} `undefined` when missing
+     */
+    get(key) {
+        return cloneStoreValue(this.data.get(key));
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} value Anything JSON can represent
+     */
+    set(key, value) {
+        this.data.set(key, cloneStoreValue(value));
+    }
+
+    /** @param {string} key */
+    delete(key) {
+        this.data.delete(key);
+    }
+
+    /**
+     * @param {string} [prefix]
+     * @returns {string[]}
+     */
+    keys(prefix = "") {
+        return [...this.data.keys()].filter(key => key.startsWith(prefix));
+    }
+}
+
+/**
+ * Memory store backed by an append-only file of JSON lines. Changes are applied in memory right
+ * away and written in the background: lines queued while a write is running go out together in
+ * the next one, and each write is fsynced before the `set`/`delete` calls in it resolve. A line
+ * cut short by a crash is skipped on load. The file is rewritten through a temporary file once
+ * most of its lines are outdated. Only one open `FileStore` or `FileCache` per process may use a file.
+ */
+class FileStore extends MemoryStore {
+    /**
+     * @param {{path?: string, compactAt?: number, logger?: Logger}} [options] `compactAt` is the
+     *   fewest lines that trigger a rewrite
+     * @throws {Error} When the file is already open in this process
+     */
+    constructor(options = {}) {
+        super();
+        this.path = path.resolve(options.path || ".slchat-store.jsonl");
+        this.logger = options.logger || defaultLogger.child("store");
+        this.compactAt = options.compactAt || 1000;
+        this.lines = 0;
+        /** @type {string[]} Lines not written yet */
+        this.pending = [];
+        this.compactPending = false;
+        /** @type {Promise<void>|null} The next write, while it has not started */
+        this.batch = null;
+        /** @type {Promise<void>} The last write, settled or not */
+        this.writing = Promise.resolve();
+        this.closed = true;
+        this.open();
+    }
+
+    /**
+     * Claims the file and loads it. Called again by `bot.run()` and by the first change after
+     * `close()`, so data written by another instance in between is not overwritten.
+     * @throws {Error} When the file is already open in this process
+     */
+    open() {
+        if (!this.closed) return;
+        claimFile(this.path, this);
+        this.closed = false;
+        this.data.clear();
+        this.lines = 0;
+        this._load();
+    }
+
+    /**
+     * Waits for pending writes and releases the file. `bot.stop()` calls it.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.idle();
+        this.closed = true;
+        releaseFile(this.path, this);
+    }
+
+    /**
+     * Resolves once every queued line is written, whether or not the writes succeeded.
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        let last;
+        do {
+            last = this.writing;
+            await last;
+        } while (last !== this.writing);
+    }
+
+    _load() {
+        let content;
+        try {
+            content = fs.readFileSync(this.path, "utf8");
+        } catch (err) {
+            if (err.code !== "ENOENT") this.logger.error(`Failed to load ${this.path}`, err.message);
+            return;
+        }
+        const lines = content.split("\n");
+        const torn = content && !content.endsWith("\n");
+        lines.forEach((line, index) => {
+            if (!line) return;
+            try {
+                const entry = JSON.parse(line);
+                if (entry.d) this.data.delete(entry.k);
+                else this.data.set(entry.k, entry.v);
+                this.lines++;
+            } catch (err) {
+                if (torn && index === lines.length - 1) this.logger.warn(`Skipping an incomplete last line in ${this.path}`);
+                else this.logger.error(`Skipping line ${index + 1} of ${this.path}`, err.message);
+            }
+        });
+        // Rewrite before anything else so the next append doesn't land on a torn line
+        if (torn) this.compact();
+    }
+
+    /**
+     * @param {Object} entry
+     * @returns {Promise<void>} Resolves once the line is synced to disk
+     */
+    _append(entry) {
+        this.pending.push(`${JSON.stringify(entry)}\n`);
+        this.lines++;
+        return this._flush();
+    }
+
+    /**
+     * Queues a write of everything pending, to start once the running write has finished.
+     * @returns {Promise<void>}
+     */
+    _flush() {
+        if (!this.batch) {
+            this.batch = this.writing.then(() => this._write());
+            this.writing = this.batch.catch(() => {});
+        }
+        return this.batch;
+    }
+
+    async _write() {
+        // Lines queued from here on go in the next write
+        this.batch = null;
+        const lines = this.pending.splice(0);
+        // A rewrite holds every change so far, including the lines just taken
+        if (this.compactPending || (this.lines >= this.compactAt && this.lines > this.data.size * 2)) {
+            this.compactPending = false;
+            if (await this._rewrite()) return;
+        }
+        if (!lines.length) return;
+        try {
+            const handle = await fs.promises.open(this.path, "a");
+            try {
+                await handle.appendFile(lines.join(""));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+        } catch (err) {
+            this.logger.error(`Failed to write ${this.path}`, err.message);
+            throw err;
+        }
+    }
+
+    /**
+     * Writes one line per key to a temporary file, syncs it and renames it over the old file.
+     * @returns {Promise<boolean>} Whether the file was replaced
+     */
+    async _rewrite() {
+        const tmp = `${this.path}.tmp`;
+        const lines = [...this.data].map(([k, v]) => `${JSON.stringify({ k, v })}\n`);
+        const outdated = this.lines - lines.length;
+        try {
+            const handle = await fs.promises.open(tmp, "w");
+            try {
+                await handle.writeFile(lines.join(""));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(tmp, this.path);
+            // Lines queued during the rewrite are still to be appended
+            this.lines -= outdated;
+            return true;
+        } catch (err) {
+            this.logger.error(`Failed to compact ${this.path}`, err.message);
+            return false;
+        }
+    }
+
+    async set(key, value) {
+        this.open();
+        const copy = cloneStoreValue(value);
+        this.data.set(key, copy);
+        await this._append({ k: key, v: copy });
+    }
+
+    async delete(key) {
+        this.open();
+        if (!this.data.has(key)) return;
+        this.data.delete(key);
+        await this._append({ k: key, d: 1 });
+    }
+
+    /**
+     * Rewrites the file with one line per key, after any write already running. The new file is
+     * synced to disk before it replaces the old one, so the rename never leaves an empty or partial
+     * file behind.
+     * @returns {Promise<void>}
+     */
+    compact() {
+        this.compactPending = true;
+        return this._flush();
+    }
+}
+
+/**
+ * A group of keys in a `Store`, such as one server's settings.
+ */
+class StoreNamespace {
+    /**
+     * @param {Store} store
+     * @param {string} prefix
+     */
+    constructor(store, prefix) {
+        this.store = store;
+        this.prefix = prefix;
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} [fallback] Returned when the key is missing
+     * @returns {Promise<any>}
+     */
+    async get(key, fallback) {
+        const value = await this.store.backend.get(this.prefix + key);
+        return value === undefined ? fallback : value;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<boolean>}
+     */
+    async has(key) {
+        return (await this.store.backend.get(this.prefix + key)) !== undefined;
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} value Anything JSON can represent
+     * @returns {Promise<any>} `value`
+     */
+    set(key, value) {
+        return this.store._exclusive(this.prefix + key, async () => {
+            await this.store.backend.set(this.prefix + key, value);
+            return value;
+        });
+    }
+
+    /**
+     * Reads, changes and writes a key with no other change to it in between.
+     * @param {string} key
+     * @param {function(any): any} fn Gets the current value (or `fallback`) and returns the new one.
+     *   Returning `undefined` deletes the key.
+     * @param {any} [fallback]
+     * @returns {Promise<any>} The new value
+     * @example await ctx.userData.update("points", points => points + 10, 0);
+     */
+    update(key, fn, fallback) {
+        const full = this.prefix + key;
+        return this.store._exclusive(full, async () => {
+            const current = await this.store.backend.get(full);
+            const next = await fn(current === undefined ? cloneStoreValue(fallback) : current);
+            if (next === undefined) await this.store.backend.delete(full);
+            else await this.store.backend.set(full, next);
+            return next;
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    delete(key) {
+        return this.store._exclusive(this.prefix + key, () => this.store.backend.delete(this.prefix + key));
+    }
+
+    /**
+     * @returns {Promise<string[]>} Keys in this namespace, without the prefix
+     */
+    async keys() {
+        return (await this.store.backend.keys(this.prefix)).map(key => key.slice(this.prefix.length));
+    }
+
+    /**
+     * @returns {Promise<Object<string, any>>}
+     */
+    async all() {
+        const result = {};
+        for (const key of await this.keys()) result[key] = await this.store.backend.get(this.prefix + key);
+        return result;
+    }
+
+    /**
+     * Deletes every key in this namespace.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await Promise.all((await this.keys()).map(key => this.delete(key)));
+    }
+}
+
+/**
+ * Key-value storage for bot state, split into global, per-server and per-user namespaces.
+ * Writes to the same key are applied one at a time, in call order.
+ */
+class Store {
+    /**
+     * @param {MemoryStore} [backend]
+     */
+    constructor(backend = new MemoryStore()) {
+        this.backend = backend;
+        /** @type {Map<string, Promise<void>>} Last pending write per key */
+        this.locks = new Map();
+        this.global = this.namespace("global");
+    }
+
+    /**
+     * @param {...string} parts e.g. `("economy", serverId)`
+     * @returns {StoreNamespace}
+     */
+    namespace(...parts) {
+        return new StoreNamespace(this, `${parts.map(part => encodeURIComponent(String(part))).join(":")}:`);
+    }
+
+    /**
+     * @param {string} serverId
+     * @returns {StoreNamespace}
+     */
+    server(serverId) {
+        return this.namespace("server", serverId);
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {StoreNamespace}
+     */
+    user(userId) {
+        return this.namespace("user", userId);
+    }
+
+    /**
+     * Data for one user in one server, such as their points there.
+     * @param {string} serverId
+     * @param {string} userId
+     * @returns {StoreNamespace}
+     */
+    member(serverId, userId) {
+        return this.namespace("member", serverId, userId);
+    }
+
+    /**
+     * Runs `task` once every earlier write to `key` has finished.
+     * @param {string} key
+     * @param {function(): Promise<any>} task
+     * @returns {Promise<any>}
+     */
+    _exclusive(key, task) {
+        const run = (this.locks.get(key) || Promise.resolve()).then(task);
+        const tail = run.then(() => {}, () => {});
+        this.locks.set(key, tail);
+        tail.then(() => {
+            if (this.locks.get(key) === tail) this.locks.delete(key);
+        });
+        return run;
+    }
+
+    /**
+     * Resolves once every pending write has finished.
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        while (this.locks.size) await Promise.all(this.locks.values());
+    }
+}
+
+/**
+ * @param {Object} config Validated bot config
+ * @param {Logger} [logger]
+ * @returns {MemoryStore}
+ */
+function createStoreBackend(config, logger) {
+    if (config.storeBackend && typeof config.storeBackend === "object") return config.storeBackend;
+    if (config.storeBackend === "file") return new FileStore({ path: config.storePath, logger });
+    return new MemoryStore();
+}
+
+// Scheduler
+/** @type {Object<string, string>} */
+const CRON_MACROS = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *"
+};
+
+/** @type {Array<{name: string, min: number, max: number, names?: string[]}>} */
+const CRON_FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+    { name: "weekday", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+
+/** Longest delay `setTimeout` accepts; later runs are re-armed when the timer fires. */
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * @param {string} part
+ * @param {{name: string, min: number, max: number, names?: string[]}} field
+ * @param {string} expression
+ * @returns {Set<number>}
+ */
+function parseCronField(part, field, expression) {
+    const invalid = () => new Error(`Invalid cron expression "${expression}": bad ${field.name} field "${part}"`);
+    const toNumber = value => {
+        const index = field.names ? field.names.indexOf(value) : -1;
+        if (index !== -1) return index + (field.name === "month" ? 1 : 0);
+        return /^\d+$/.test(value) ? Number(value) : NaN;
+    };
+
+    const values = new Set();
+    for (const item of part.toLowerCase().split(",")) {
+        const match = item.match(/^(\*|\w+(?:-\w+)?)(?:\/(\d+))?$/);
+        if (!match) throw invalid();
+        const step = match[2] ? Number(match[2]) : 1;
+        let [start, end] = match[1] === "*" ? [field.min, field.max] : match[1].split("-").map(toNumber);
+        if (end === undefined) end = match[2] ? field.max : start;
+        if ([start, end].some(Number.isNaN) || start < field.min || end > field.max || start > end || step < 1) throw invalid();
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * Parses a 5-field cron expression (`minute hour day month weekday`) or a macro such as `@daily`.
+ * Fields accept `*`, lists, ranges, steps and month/weekday names.
+ * @param {string} expression
+ * @returns {{expression: string, minute: Set<number>, hour: Set<number>, day: Set<number>, month: Set<number>, weekday: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ */
+function parseCron(expression) {
+    const source = CRON_MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+
+    const [minute, hour, day, month, weekday] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index], expression));
+    // Sunday can be written as 0 or 7
+    if (weekday.delete(7)) weekday.add(0);
+    return { expression: String(expression), minute, hour, day, month, weekday, anyDay: parts[2].startsWith("*"), anyWeekday: parts[4].startsWith("*") };
+}
+
+/**
+ * Finds the first time after `after` that matches a parsed cron expression. When both the day
+ * and the weekday are restricted, either one matching is enough, as in standard cron.
+ * @param {ReturnType<typeof parseCron>} cron
+ * @param {Date} [after]
+ * @param {boolean} [utc=false]
+ * @returns {Date|null} `null` if nothing matches within five years
+ */
+function nextCronDate(cron, after = new Date(), utc = false) {
+    const date = new Date(after.getTime());
+    const get = unit => date[`get${utc ? "UTC" : ""}${unit}`]();
+    const set = (unit, ...values) => date[`set${utc ? "UTC" : ""}${unit}`](...values);
+    set("Seconds", 0, 0);
+    set("Minutes", get("Minutes") + 1);
+
+    const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!cron.month.has(get("Month") + 1)) {
+            set("Month", get("Month") + 1, 1);
+            set("Hours", 0, 0);
+            continue;
+        }
+        const day = cron.day.has(get("Date"));
+        const weekday = cron.weekday.has(get("Day"));
+        if (cron.anyDay || cron.anyWeekday ? !(day && weekday) : !(day || weekday)) {
+            set("Date", get("Date") + 1);
+            set("Hours", 0, 0);
+            continue;
+        }
+        if (!cron.hour.has(get("Hours"))) {
+            set("Hours", get("Hours") + 1, 0);
+            continue;
+        }
+        if (!cron.minute.has(get("Minutes"))) {
+            set("Minutes", get("Minutes") + 1);
+            continue;
+        }
+        return date;
+    }
+    return null;
+}
+
+/**
+ * @typedef {Object} ScheduleOptions
+ * @property {string} [id] Job id; scheduling an id that already exists replaces that job
+ * @property {boolean} [persist=true] Save the job to `schedulePath`. Only jobs with a string message are saved
+ * @property {boolean} [utc=false] Evaluate the cron expression in UTC instead of local time
+ * @property {boolean} [raw=false] Send the message without `formatMessage`
+ * @property {number} [priority] Outbound queue priority
+ */
+
+/**
+ * @typedef {string|EmbedBuilder|((serverId: string, job: ScheduledJob) => string|EmbedBuilder|null|Promise<string|EmbedBuilder|null>)} ScheduledMessage
+ * Returning nothing from a function skips that server for this run.
+ */
+
+class ScheduledJob {
+    /**
+     * @param {Scheduler} scheduler
+     * @param {Object} data
+     */
+    constructor(scheduler, data) {
+        this.scheduler = scheduler;
+        this.id = String(data.id);
+        /** @type {"cron"|"once"} */
+        this.type = data.cron ? "cron" : "once";
+        this.cron = data.cron ? parseCron(data.cron) : null;
+        this.at = data.cron ? null : new Date(data.at);
+        /** @type {"all"|string[]} */
+        this.targets = data.targets === "all" ? "all" : [].concat(data.targets).map(String);
+        /** @type {ScheduledMessage} */
+        this.message = data.message;
+        this.utc = Boolean(data.utc);
+        this.raw = Boolean(data.raw);
+        this.priority = data.priority;
+        this.persist = data.persist !== false && typeof data.message === "string";
+        this.runs = data.runs || 0;
+        this.lastRun = data.lastRun ? new Date(data.lastRun) : null;
+        /** @type {Date|null} */
+        this.nextRun = this.type === "cron" ? nextCronDate(this.cron, new Date(), this.utc) : this.at;
+        this.timer = null;
+    }
+
+    /**
+     * @returns {boolean} Whether the job was still scheduled
+     */
+    cancel() {
+        return this.scheduler.cancel(this.id);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            cron: this.cron ? this.cron.expression : undefined,
+            at: this.at ? this.at.toISOString() : undefined,
+            targets: this.targets,
+            message: typeof this.message === "string" ? this.message : undefined,
+            utc: this.utc || undefined,
+            raw: this.raw || undefined,
+            priority: this.priority,
+            runs: this.runs,
+            lastRun: this.lastRun ? this.lastRun.toISOString() : undefined
+        };
+    }
+}
+
+/**
+ * Runs scheduled and recurring messages for a bot. Timers only run while the bot does; one-shot
+ * jobs that came due while it was stopped are sent when it starts, missed cron runs are skipped.
+ */
+class Scheduler {
+    /**
+     * @param {Bot} bot
+     * @param {{path?: string|null}} [options] `path` saves jobs to a JSON file so they survive restarts
+     */
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.logger = bot.logger.child("schedule");
+        this.path = options.path ? path.resolve(options.path) : null;
+        /** @type {Map<string, ScheduledJob>} */
+        this.jobs = new Map();
+        this.running = false;
+        this.nextId = 1;
+        if (this.path) this._load();
+    }
+
+    _load() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.path, "utf8"));
+            for (const data of saved) {
+                try {
+                    this._add(new ScheduledJob(this, data));
+                } catch (err) {
+                    this.logger.error(`Skipping saved job [${data && data.id}]`, err.message);
+                }
+            }
+        } catch (err) {
+            if (err.code !== "ENOENT") this.logger.error(`Failed to load ${this.path}`, err.message);
+        }
+    }
+
+    /**
+     * Writes persistent jobs to disk through a temporary file, like `FileCache`.
+     */
+    save() {
+        if (!this.path) return;
+        try {
+            const jobs = [...this.jobs.values()].filter(job => job.persist);
+            const tmp = `${this.path}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(jobs, null, 2));
+            fs.renameSync(tmp, this.path);
+        } catch (err) {
+            this.logger.error(`Failed to save ${this.path}`, err.message);
+        }
+    }
+
+    start() {
+        this.running = true;
+        this.jobs.forEach(job => this._arm(job));
+    }
+
+    stop() {
+        this.running = false;
+        for (const job of this.jobs.values()) {
+            clearTimeout(job.timer);
+            job.timer = null;
+        }
+    }
+
+    /**
+     * @param {string} cron
+     * @param {"all"|string|string[]} targets
+     * @param {ScheduledMessage} message
+     * @param {ScheduleOptions} [options]
+     * @returns {ScheduledJob}
+     */
+    schedule(cron, targets, message, options = {}) {
+        return this._create({ ...options, cron, targets, message });
+    }
+
+    /**
+     * @param {Date|number|string} date
+     * @param {"all"|string|string[]} targets
+     * @param {ScheduledMessage} message
+     * @param {ScheduleOptions} [options]
+     * @returns {ScheduledJob}
+     */
+    sendAt(date, targets, message, options = {}) {
+        const at = new Date(date);
+        if (Number.isNaN(at.getTime())) throw new Error(`Invalid date: ${date}`);
+        return this._create({ ...options, cron: null, at, targets, message });
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    cancel(id) {
+        const job = this.jobs.get(String(id));
+        if (!job) return false;
+        clearTimeout(job.timer);
+        this.jobs.delete(job.id);
+        if (job.persist) this.save();
+        return true;
+    }
+
+    /**
+     * @returns {ScheduledJob[]} Jobs ordered by next run
+     */
+    list() {
+        return [...this.jobs.values()].sort((a, b) => (a.nextRun || Infinity) - (b.nextRun || Infinity));
+    }
+
+    /**
+     * @param {Object} data
+     * @returns {ScheduledJob}
+     */
+    _create(data) {
+        if (!data.message) throw new Error("A scheduled job needs a message");
+        if (!data.targets || (Array.isArray(data.targets) && !data.targets.length)) throw new Error("A scheduled job needs at least one server");
+        if (data.id === undefined) {
+            while (this.jobs.has(String(this.nextId))) this.nextId++;
+            data.id = this.nextId++;
+        }
+        const job = new ScheduledJob(this, data);
+        if (this.jobs.has(job.id)) this.cancel(job.id);
+        this._add(job);
+        if (job.persist) this.save();
+        return job;
+    }
+
+    /**
+     * @param {ScheduledJob} job
+     */
+    _add(job) {
+        this.jobs.set(job.id, job);
+        if (this.running) this._arm(job);
+    }
+
+    /**
+     * @param {ScheduledJob} job
+     */
+    _arm(job) {
+        clearTimeout(job.timer);
+        job.timer = null;
+        if (!this.running || !job.nextRun) return;
+        const delay = Math.max(0, job.nextRun.getTime() - Date.now());
+        job.timer = setTimeout(() => {
+            if (job.nextRun.getTime() > Date.now()) return this._arm(job);
+            this._run(job);
+        }, Math.min(delay, MAX_TIMER_DELAY));
+        job.timer.unref?.();
+    }
+
+    /**
+     * @param {ScheduledJob} job
+     * @returns {Promise<boolean[]>} Send results per target server
+     */
+    async _run(job) {
+        job.timer = null;
+        job.runs++;
+        job.lastRun = new Date();
+        if (job.type === "cron") {
+            job.nextRun = nextCronDate(job.cron, new Date(), job.utc);
+            this._arm(job);
+        } else {
+            this.jobs.delete(job.id);
+            if (job.persist) this.save();
+        }
+
+        const bot = this.bot;
+        const targets = job.targets === "all" ? [...bot.serverIds] : job.targets;
+        const results = [];
+        for (const serverId of targets) {
+            try {
+                const message = typeof job.message === "function" ? await job.message(serverId, job) : job.message;
+                if (!message) continue;
+                const html = message instanceof EmbedBuilder
+                    ? message.build()
+                    : job.raw ? String(message) : formatMessage(String(message), bot.splitLongMessages ? Infinity : bot.maxMessageLength, { markdown: bot.markdown });
+                results.push(Boolean(await bot.send(html, serverId, { priority: job.priority })));
+            } catch (err) {
+                results.push(false);
+                bot.performanceMetrics.errors++;
+                this.logger.error(`Job [${job.id}] failed for [${serverId}]`, err);
+                bot.onError(err, "schedule");
+            }
+        }
+        bot.events.emit("scheduleRun", job, results);
+        return results;
+    }
+}
+
+// Moderation
+/**
+ * @typedef {Object} ModerationRules
+ * @property {boolean} [enabled=true]
+ * @property {string[]} [exempt] User ids that are never moderated. Bot owners are always exempt.
+ * @property {string[]} [bannedWords] Matched as whole words, ignoring case
+ * @property {string[]} [bannedPatterns] Regular expression sources, matched ignoring case
+ * @property {{allow?: string[], deny?: string[]}} [links] Domains, subdomains included. With `allow`, every other domain is denied.
+ * @property {{max: number}} [mentions] Most users one message may mention
+ * @property {{count: number, window: number}} [repeats] The same text `count` times within `window` ms
+ * @property {{count: number, window: number}} [flood] More than `count` messages within `window` ms
+ * @property {{expire?: number, muteAt?: number, muteDuration?: number}} [strikes] `muteAt: 0` never mutes
+ * @property {string|false} [warnMessage] Reply with `{user}`, `{reason}` and `{strikes}` filled in, or `false`
+ * @property {string|false} [muteMessage] Reply when a user is muted, with `{user}` and `{minutes}` too
+ */
+
+/**
+ * @typedef {Object} ModerationViolation
+ * @property {"bannedWord"|"link"|"mentions"|"repeat"|"flood"} rule
+ * @property {string} reason
+ * @property {string} detail What matched: the word or pattern, the link, or the count
+ * @property {"warn"|"mute"} action
+ * @property {number} strikes The user's strikes in the server, this one included
+ * @property {string} userId
+ * @property {string} serverId
+ */
+
+/** @type {Object<string, string>} */
+const MODERATION_REASONS = {
+    bannedWord: "that language isn't allowed here",
+    link: "links to that site aren't allowed here",
+    mentions: "please don't mention that many people",
+    repeat: "please don't repeat the same message",
+    flood: "you're sending messages too fast"
+};
+
+const DEFAULT_MODERATION = {
+    strikes: { expire: 60 * 60 * 1000, muteAt: 3, muteDuration: 10 * 60 * 1000 },
+    warnMessage: "embed:warn:{user}, {reason}. (strike {strikes})",
+    muteMessage: "embed:error:{user} can't use commands for {minutes} minutes."
+};
+
+/**
+ * Validates rules and compiles their words and patterns.
+ * @param {ModerationRules} rules
+ * @returns {Object}
+ * @throws {Error} If a rule is malformed
+ */
+function compileModerationRules(rules) {
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) throw new Error("Moderation rules must be an object");
+    const list = key => {
+        const value = key.split(".").reduce((obj, part) => obj?.[part], rules);
+        if (value === undefined || value === null) return [];
+        if (!Array.isArray(value)) throw new Error(`Moderation rule "${key}" must be an array`);
+        return value.map(String);
+    };
+    const rate = key => {
+        const value = rules[key];
+        if (value === undefined || value === null) return null;
+        if (!(value.count >= 1) || !(value.window > 0)) throw new Error(`Moderation rule "${key}" needs a positive count and window`);
+        return { count: value.count, window: value.window };
+    };
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const domains = key => list(key).map(domain => domain.toLowerCase().replace(/^\*?\./, ""));
+
+    const banned = [
+        ...list("bannedWords").map(word => ({ label: word, regex: new RegExp(`(?<![\\p{L}\\p{N}_])${escape(word)}(?![\\p{L}\\p{N}_])`, "iu") })),
+        ...list("bannedPatterns").map(source => {
+            try {
+                return { label: `/${source}/`, regex: new RegExp(source, "i") };
+            } catch (err) {
+                throw new Error(`Invalid moderation pattern /${source}/: ${err.message}`);
+            }
+        })
+    ];
+    if (rules.mentions && !(rules.mentions.max >= 0)) throw new Error("Moderation rule \"mentions\" needs a max");
+    const strikes = { ...DEFAULT_MODERATION.strikes, ...(rules.strikes || {}) };
+    if (!(strikes.expire > 0) || !(strikes.muteAt >= 0) || !(strikes.muteDuration > 0)) throw new Error("Invalid moderation strikes");
+
+    return {
+        enabled: rules.enabled !== false,
+        exempt: new Set(list("exempt")),
+        banned,
+        links: { allow: domains("links.allow"), deny: domains("links.deny") },
+        mentions: rules.mentions ? rules.mentions.max : null,
+        repeats: rate("repeats"),
+        flood: rate("flood"),
+        strikes,
+        warnMessage: rules.warnMessage === undefined ? DEFAULT_MODERATION.warnMessage : rules.warnMessage,
+        muteMessage: rules.muteMessage === undefined ? DEFAULT_MODERATION.muteMessage : rules.muteMessage
+    };
+}
+
+/**
+ * @param {string} host
+ * @param {string[]} domains
+ * @returns {boolean}
+ */
+function matchesDomain(host, domains) {
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Checks incoming messages against moderation rules, warns offenders and counts strikes.
+ * Messages that break a rule, and every message from a muted user, do not run commands.
+ */
+class Moderator {
+    /**
+     * @param {Bot} bot
+     * @param {ModerationRules|string|null} [source] Rules, or the path of a JSON file with them
+     */
+    constructor(bot, source = null) {
+        this.bot = bot;
+        this.logger = bot.logger.child("moderation");
+        this.path = typeof source === "string" ? path.resolve(source) : null;
+        this.rules = compileModerationRules({ enabled: false });
+        /** @type {Map<string, Array<{text: string, time: number}>>} Recent messages per server and user */
+        this.history = new Map();
+        /** @type {Map<string, {count: number, last: number}>} */
+        this.strikes = new Map();
+        /** @type {Map<string, number>} When each mute ends */
+        this.mutes = new Map();
+        if (this.path) this.reload();
+        else if (source) this.load(source);
+    }
+
+    get enabled() {
+        return this.rules.enabled;
+    }
+
+    /**
+     * Replaces the rules. Strikes and mutes are kept.
+     * @param {ModerationRules} rules
+     * @throws {Error} If a rule is malformed; the old rules stay in place
+     */
+    load(rules) {
+        this.rules = compileModerationRules(rules);
+        this.history.clear();
+    }
+
+    /**
+     * Reads the rules file again. Errors are reported to `onError` and keep the old rules.
+     * @returns {boolean} Whether the rules were reloaded
+     */
+    reload() {
+        if (!this.path) return false;
+        try {
+            this.load(JSON.parse(fs.readFileSync(this.path, "utf8")));
+            this.logger.info(`Loaded rules from ${this.path}`);
+            return true;
+        } catch (err) {
+            this.bot.performanceMetrics.errors++;
+            this.logger.error(`Failed to load ${this.path}`, err.message);
+            this.bot.onError(err, "moderation");
+            return false;
+        }
+    }
+
+    /**
+     * @param {Context} ctx
+     * @returns {boolean} Whether the message was moderated, or its author is muted
+     */
+    check(ctx) {
+        if (!this.rules.enabled) return false;
+        const userId = String(ctx.owner.id);
+        if (this.rules.exempt.has(userId) || this.bot.owners.includes(userId)) return false;
+        const key = `${ctx.serverId}:${userId}`;
+        const now = Date.now();
+        if (this.mutes.get(key) > now) return true;
+
+        const violation = this._findViolation(ctx, key, now);
+        if (!violation) return false;
+        this._punish(ctx, key, now, violation);
+        return true;
+    }
+
+    /**
+     * @param {Context} ctx
+     * @param {string} key
+     * @param {number} now
+     * @returns {?{rule: string, detail: string}}
+     */
+    _findViolation(ctx, key, now) {
+        const { banned, links, mentions, repeats, flood } = this.rules;
+        const text = ctx.text;
+        const word = banned.find(item => item.regex.test(text));
+        if (word) return { rule: "bannedWord", detail: word.label };
+
+        for (const link of ctx.message.links) {
+            let host;
+            try {
+                host = new URL(link).hostname.toLowerCase();
+            } catch {
+                continue;
+            }
+            if (matchesDomain(host, links.deny) || (links.allow.length && !matchesDomain(host, links.allow))) {
+                return { rule: "link", detail: link };
+            }
+        }
+
+        if (mentions !== null && ctx.mentions.length > mentions) return { rule: "mentions", detail: String(ctx.mentions.length) };
+
+        if (!repeats && !flood) return null;
+        const horizon = Math.max(repeats ? repeats.window : 0, flood ? flood.window : 0);
+        const normalized = text.trim().toLowerCase().replace(/\s+/g, " ");
+        const recent = (this.history.get(key) || []).filter(entry => now - entry.time < horizon);
+        recent.push({ text: normalized, time: now });
+        this.history.set(key, recent);
+
+        if (repeats && normalized) {
+            const same = recent.filter(entry => entry.text === normalized && now - entry.time < repeats.window).length;
+            if (same >= repeats.count) {
+                this.history.delete(key);
+                return { rule: "repeat", detail: String(same) };
+            }
+        }
+        if (flood) {
+            const count = recent.filter(entry => now - entry.time < flood.window).length;
+            if (count > flood.count) {
+                this.history.delete(key);
+                return { rule: "flood", detail: String(count) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Adds a strike, mutes at `strikes.muteAt`, replies and emits `moderation`.
+     * @param {Context} ctx
+     * @param {string} key
+     * @param {number} now
+     * @param {{rule: string, detail: string}} found
+     */
+    _punish(ctx, key, now, found) {
+        const config = this.rules.strikes;
+        const record = this.strikes.get(key);
+        const count = record && now - record.last < config.expire ? record.count + 1 : 1;
+        this.strikes.set(key, { count, last: now });
+
+        let action = "warn";
+        if (config.muteAt && count >= config.muteAt) {
+            action = "mute";
+            this.mutes.set(key, now + config.muteDuration);
+        }
+
+        /** @type {ModerationViolation} */
+        const violation = {
+            ...found,
+            reason: MODERATION_REASONS[found.rule],
+            action,
+            strikes: count,
+            userId: String(ctx.owner.id),
+            serverId: ctx.serverId
+        };
+        const template = action === "mute" ? this.rules.muteMessage : this.rules.warnMessage;
+        if (template) {
+            const values = { user: ctx.owner.name, reason: violation.reason, strikes: count, minutes: Math.ceil(config.muteDuration / 60000) };
+            // Quoting would repeat the offending message
+            ctx.reply(template.replace(/\{(\w+)\}/g, (match, name) => name in values ? escapeHtml(String(values[name])) : match), { quote: false });
+        }
+        this.logger.info(`${found.rule} by [${violation.userId}] in [${ctx.serverId}]: ${action} (strike ${count})`);
+        this.bot.metrics.get("slchat_moderation_actions_total").inc({ rule: found.rule, action });
+        this.bot.events.emit("moderation", violation, ctx);
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} serverId
+     * @returns {number} Strikes that have not expired
+     */
+    getStrikes(userId, serverId) {
+        const record = this.strikes.get(`${serverId}:${userId}`);
+        return record && Date.now() - record.last < this.rules.strikes.expire ? record.count : 0;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} serverId
+     * @returns {boolean} Whether the user is muted
+     */
+    isMuted(userId, serverId) {
+        return this.mutes.get(`${serverId}:${userId}`) > Date.now();
+    }
+
+    /**
+     * Clears a user's strikes and mute in a server.
+     * @param {string} userId
+     * @param {string} serverId
+     */
+    pardon(userId, serverId) {
+        const key = `${serverId}:${userId}`;
+        this.strikes.delete(key);
+        this.mutes.delete(key);
+        this.history.delete(key);
+    }
+
+    /**
+     * Drops expired strikes, mutes and message history.
+     */
+    prune() {
+        const now = Date.now();
+        const { repeats, flood, strikes } = this.rules;
+        const horizon = Math.max(repeats ? repeats.window : 0, flood ? flood.window : 0);
+        for (const [key, entries] of this.history) {
+            if (!entries.length || now - entries[entries.length - 1].time >= horizon) this.history.delete(key);
+        }
+        for (const [key, record] of this.strikes) {
+            if (now - record.last >= strikes.expire) this.strikes.delete(key);
+        }
+        for (const [key, until] of this.mutes) {
+            if (until <= now) this.mutes.delete(key);
+        }
+    }
+}
+
+// Metrics
+/** Default histogram buckets, in seconds. */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * @param {Object<string, string|number>} labels
+ * @returns {string} `{name="value",...}`, or `""` without labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * @param {string[]} labelNames
+ * @param {Object} [labels]
+ * @returns {Object<string, string>} Only the known labels, in `labelNames` order
+ */
+function pickLabels(labelNames, labels = {}) {
+    const picked = {};
+    for (const name of labelNames) picked[name] = labels[name] !== undefined ? String(labels[name]) : "";
+    return picked;
+}
+
+/**
+ * A counter or gauge. Values are stored per label set; `collect` computes them at scrape time instead.
+ */
+class Metric {
+    /**
+     * @param {"counter"|"gauge"} type
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {() => number|Array<{labels: Object, value: number}>} [collect]
+     */
+    constructor(type, name, help, labelNames = [], collect = null) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        /** @type {Map<string, {labels: Object, value: number}>} */
+        this.values = new Map();
+    }
+
+    /**
+     * @param {Object} labels
+     * @returns {{labels: Object, value: number}}
+     */
+    _entry(labels) {
+        const picked = pickLabels(this.labelNames, labels);
+        const key = JSON.stringify(picked);
+        if (!this.values.has(key)) this.values.set(key, { labels: picked, value: 0 });
+        return this.values.get(key);
+    }
+
+    /**
+     * @param {Object} [labels]
+     * @param {number} [value=1]
+     */
+    inc(labels, value = 1) {
+        this._entry(labels).value += value;
+    }
+
+    /**
+     * @param {Object} [labels]
+     * @param {number} [value=1]
+     */
+    dec(labels, value = 1) {
+        if (this.type === "counter") throw new Error(`Counter ${this.name} can't be decreased`);
+        this._entry(labels).value -= value;
+    }
+
+    /**
+     * @param {Object} labels
+     * @param {number} value
+     */
+    set(labels, value) {
+        this._entry(labels).value = value;
+    }
+
+    /**
+     * @param {Object} [labels]
+     * @returns {number}
+     */
+    get(labels) {
+        const key = JSON.stringify(pickLabels(this.labelNames, labels));
+        const sample = this.samples().find(item => JSON.stringify(pickLabels(this.labelNames, item.labels)) === key);
+        return sample ? sample.value : 0;
+    }
+
+    /**
+     * @returns {Array<{labels: Object, value: number}>}
+     */
+    samples() {
+        if (!this.collect) return [...this.values.values()];
+        const collected = this.collect();
+        return typeof collected === "number" ? [{ labels: {}, value: collected }] : collected;
+    }
+
+    /**
+     * @returns {string[]} Lines in the Prometheus text format
+     */
+    render() {
+        return this.samples().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Histogram {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets] Upper bounds, in ascending order
+     */
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        this.type = "histogram";
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        /** @type {Map<string, {labels: Object, counts: number[], sum: number, count: number}>} */
+        this.values = new Map();
+    }
+
+    /**
+     * @param {Object} labels
+     * @param {number} value
+     */
+    observe(labels, value) {
+        const picked = pickLabels(this.labelNames, labels);
+        const key = JSON.stringify(picked);
+        if (!this.values.has(key)) this.values.set(key, { labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = this.values.get(key);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * @param {Object} [labels]
+     * @returns {(extra?: Object) => number} Call to observe the seconds elapsed since `startTimer`, optionally with more labels
+     */
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extra = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe({ ...labels, ...extra }, seconds);
+            return seconds;
+        };
+    }
+
+    /**
+     * @returns {Array<{labels: Object, counts: number[], sum: number, count: number}>}
+     */
+    samples() {
+        return [...this.values.values()];
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    render() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Holds a bot's metrics and renders them in the Prometheus text exposition format.
+ * Asking for an existing name returns the registered metric.
+ */
+class MetricsRegistry {
+    constructor() {
+        /** @type {Map<string, Metric|Histogram>} */
+        this.metrics = new Map();
+    }
+
+    /**
+     * @param {Metric|Histogram} metric
+     * @returns {Metric|Histogram}
+     */
+    _register(metric) {
+        const existing = this.metrics.get(metric.name);
+        if (existing) {
+            if (existing.type !== metric.type) throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`);
+            return existing;
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {() => number|Array<{labels: Object, value: number}>} [collect]
+     * @returns {Metric}
+     */
+    counter(name, help, labelNames, collect) {
+        return this._register(new Metric("counter", name, help, labelNames, collect));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {() => number|Array<{labels: Object, value: number}>} [collect]
+     * @returns {Metric}
+     */
+    gauge(name, help, labelNames, collect) {
+        return this._register(new Metric("gauge", name, help, labelNames, collect));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets]
+     * @returns {Histogram}
+     */
+    histogram(name, help, labelNames, buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Metric|Histogram|undefined}
+     */
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.render());
+        }
+        return `${lines.join("\n")}\n`;
+    }
+
+    /**
+     * @returns {Object<string, {type: string, samples: Array<Object>}>}
+     */
+    toJSON() {
+        const result = {};
+        for (const metric of this.metrics.values()) result[metric.name] = { type: metric.type, samples: metric.samples() };
+        return result;
+    }
+}
+
+// Socket Connections
+/**
+ * @typedef {"connecting"|"connected"|"reconnecting"|"disconnected"|"failed"} ConnectionState
+ */
+
+/**
+ * The socket for one server. Reconnects are handled here rather than by Socket.IO, reusing the
+ * same socket, so a server never has more than one.
+ */
+class ServerConnection {
+    /**
+     * @param {Bot} bot
+     * @param {string} serverId
+     */
+    constructor(bot, serverId) {
+        this.bot = bot;
+        this.serverId = serverId;
+        this.logger = bot.logger.child("socket");
+        /** @type {ConnectionState} */
+        this.state = "disconnected";
+        /** @type {any} */
+        this.socket = null;
+        /** Reconnect attempts since the socket was last connected */
+        this.attempts = 0;
+        /** @type {?NodeJS.Timeout} */
+        this.timer = null;
+        /** @type {?number} Round trip in ms, measured from the last two heartbeats */
+        this.latency = null;
+        /** @type {?number} When the server last sent a heartbeat */
+        this.lastHeartbeat = null;
+        /** @type {any} The Engine.IO connection being watched for heartbeats */
+        this.engine = null;
+        /** @type {?number} */
+        this.connectedAt = null;
+    }
+
+    get connected() {
+        return this.state === "connected";
+    }
+
+    /**
+     * Creates the socket and starts connecting. Does nothing if the socket already exists.
+     */
+    open() {
+        if (this.socket) return;
+        const bot = this.bot;
+        const socket = io(`${bot.baseUrl}?server=${this.serverId}`, {
+            extraHeaders: {
+                Cookie: `op=${bot.botId}; token=${bot.token}`
+            },
+            reconnection: false,
+            forceNew: true
+        });
+        this.socket = socket;
+        this.state = "connecting";
+        bot.sioInstances.set(this.serverId, socket);
+
+        // Events from a socket that was closed in the meantime are ignored
+        const current = handler => (...args) => {
+            if (this.socket === socket) handler(...args);
+        };
+        socket.on("connect", current(() => this._onConnect()));
+        socket.on("disconnect", current(reason => this._onDisconnect(reason)));
+        socket.on("connect_error", current(err => this._onConnectError(err)));
+        socket.on("prompt", data => bot.onSocketMessage(data));
+        socket.on("message", data => bot.onSocketMessage(data));
+        this._watchEngine();
+    }
+
+    /**
+     * Measures latency from Engine.IO's own heartbeat, which the server starts: it sends the next
+     * ping `pingInterval` ms after our pong reaches it, so the time between two pings, minus
+     * `pingInterval`, is one round trip. Called whenever the socket opens a new connection.
+     */
+    _watchEngine() {
+        const engine = this.socket?.io.engine;
+        if (!engine || engine === this.engine) return;
+        this.engine = engine;
+        let pingInterval = null;
+        let lastPing = null;
+        engine.on("handshake", data => {
+            pingInterval = data.pingInterval;
+            lastPing = null;
+        });
+        engine.on("ping", () => {
+            if (this.engine !== engine) return;
+            const now = Date.now();
+            if (lastPing !== null && pingInterval) this.latency = Math.max(0, now - lastPing - pingInterval);
+            lastPing = now;
+            this.lastHeartbeat = now;
+        });
+    }
+
+    /**
+     * Disconnects for good, cancelling any pending reconnect.
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const socket = this.socket;
+        this.state = "disconnected";
+        this.connectedAt = null;
+        if (!socket) return;
+        socket.disconnect();
+        this.socket = null;
+        if (this.bot.sioInstances.get(this.serverId) === socket) this.bot.sioInstances.delete(this.serverId);
+    }
+
+    /**
+     * Reconnects straight away with a fresh attempt count, e.g. after `reconnectFailed`.
+     */
+    reconnect() {
+        if (this.connected) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.attempts = 0;
+        if (!this.socket) return this.open();
+        this.state = "connecting";
+        this.socket.connect();
+        this._watchEngine();
+    }
+
+    /**
+     * @returns {{state: ConnectionState, attempts: number, latency: ?number, lastHeartbeat: ?number, connectedAt: ?number}}
+     */
+    toJSON() {
+        return {
+            state: this.state,
+            attempts: this.attempts,
+            latency: this.latency,
+            lastHeartbeat: this.lastHeartbeat,
+            connectedAt: this.connectedAt
+        };
+    }
+
+    _onConnect() {
+        const { bot, serverId } = this;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.state = "connected";
+        this.attempts = 0;
+        this.connectedAt = this.lastHeartbeat = Date.now();
+
+        const connects = bot.metrics.get("slchat_socket_connects_total");
+        if (connects.get({ server: serverId }) > 0) bot.metrics.get("slchat_socket_reconnects_total").inc({ server: serverId });
+        connects.inc({ server: serverId });
+        this.logger.success(`Connected to server [${serverId}]`);
+        bot.events.emit("connect", serverId);
+        // Send what was queued while the socket was down
+        bot._flushQueue(serverId);
+    }
+
+    /**
+     * @param {string} reason
+     */
+    _onDisconnect(reason) {
+        const { bot, serverId } = this;
+        bot.metrics.get("slchat_socket_disconnects_total").inc({ server: serverId });
+        this.connectedAt = null;
+        this.state = "disconnected";
+        // Disconnects we asked for (stop, leave) are expected
+        if (reason === "io client disconnect") {
+            this.logger.info(`Disconnected from [${serverId}]`);
+            bot.events.emit("disconnect", serverId, reason);
+            return;
+        }
+        this.logger.warn(`Disconnected from [${serverId}]: ${reason}`);
+        bot.events.emit("disconnect", serverId, reason);
+        this._scheduleReconnect();
+    }
+
+    /**
+     * @param {Error} err
+     */
+    _onConnectError(err) {
+        this.logger.error(`Connection error on [${this.serverId}]`, err);
+        this.state = "disconnected";
+        this._scheduleReconnect();
+    }
+
+    /**
+     * Waits `reconnectBaseDelay * 2^attempt` ms, capped at `reconnectMaxDelay` and randomised by
+     * up to half, before trying again. Gives up after `reconnectAttempts` tries. Leaves the
+     * connection `disconnected` while the bot is stopping or `autoReconnect` is off.
+     */
+    _scheduleReconnect() {
+        const { bot, serverId } = this;
+        if (this.timer || bot.state !== "running") return;
+        if (!bot.autoReconnect) {
+            bot._dropQueue(serverId);
+            return;
+        }
+        if (this.attempts >= bot.reconnectAttempts) {
+            this.state = "failed";
+            bot.metrics.get("slchat_socket_reconnect_failures_total").inc({ server: serverId });
+            this.logger.error(`Giving up on [${serverId}] after ${this.attempts} reconnect attempt${this.attempts === 1 ? "" : "s"}`);
+            bot._dropQueue(serverId);
+            bot.events.emit("reconnectFailed", serverId, this.attempts);
+            return;
+        }
+
+        const delay = Math.min(bot.reconnectBaseDelay * Math.pow(2, this.attempts), bot.reconnectMaxDelay);
+        const wait = Math.round(delay / 2 + Math.random() * delay / 2);
+        this.attempts++;
+        this.state = "reconnecting";
+        this.logger.info(`Reconnecting to [${serverId}] in ${wait}ms (attempt ${this.attempts}/${bot.reconnectAttempts})`);
+        bot.events.emit("reconnecting", serverId, this.attempts, wait);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.socket || bot.state !== "running") {
+                this.state = "disconnected";
+                return;
+            }
+            this.socket.connect();
+            this._watchEngine();
+        }, wait);
+    }
+}
+
+// Bot Implementation
+/** @type {Set<Bot>} Running bots created with `handleSignals` */
+const signalBots = new Set();
+const SHUTDOWN_SIGNALS = ["SIGINT", "SIGTERM"];
+let shuttingDown = false;
+
+/**
+ * Stops every bot that handles signals, then exits. A second signal exits straight away.
+ * When the application listens for the signal too, exiting is left to it.
+ * @param {string} signal
+ */
+function onShutdownSignal(signal) {
+    const exit = process.listenerCount(signal) <= (signalBots.size ? 1 : 0);
+    if (shuttingDown) {
+        if (exit) process.exit(1);
+        return;
+    }
+    shuttingDown = true;
+    const [first] = signalBots;
+    (first ? first.logger : defaultLogger).child("lifecycle").info(`Received ${signal}, shutting down...`);
+    Promise.allSettled([...signalBots].map(bot => bot.stop()))
+        .finally(() => {
+            shuttingDown = false;
+            if (exit) process.exit(0);
+        });
+}
+
+/**
+ * @param {Promise[]} promises
+ * @param {number} timeout
+ * @returns {Promise<boolean>} `false` if the promises had not all settled after `timeout` ms
+ */
+function settleWithin(promises, timeout) {
+    let timer;
+    const expired = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), Math.max(0, timeout));
+    });
+    return Promise.race([Promise.allSettled(promises).then(() => true), expired])
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {{items: Object[]}} queue An outbound queue
+ * @returns {number} Parts still to be sent, so a split message takes as much room as its parts
+ */
+function queueLength(queue) {
+    return queue.items.reduce((total, item) => total + item.chunks.length - item.sent.length, 0);
+}
+
+/**
+ * Resolves a queued message with its first sent part, holding every sent part in `parts`,
+ * or with `false` if none was sent.
+ * @param {Object} item
+ */
+function settleQueueItem(item) {
+    const [first] = item.sent;
+    if (first) first.parts = item.sent;
+    item.resolvers.forEach(resolve => resolve(first || false));
+}
+
+/**
+ * Resolves once the socket's transport has written every buffered packet, so disconnecting
+ * right after does not lose the last messages.
+ * @param {any} socket
+ * @returns {Promise<void>}
+ */
+function socketDrained(socket) {
+    const engine = socket.io?.engine;
+    if (!engine?.writeBuffer?.length) return Promise.resolve();
+    return new Promise(resolve => engine.once("drain", resolve));
+}
+
+/**
+ * @param {Bot} bot
+ */
+function watchSignals(bot) {
+    if (!signalBots.size) SHUTDOWN_SIGNALS.forEach(signal => process.on(signal, onShutdownSignal));
+    signalBots.add(bot);
+}
+
+/**
+ * @param {Bot} bot
+ */
+function unwatchSignals(bot) {
+    if (!signalBots.delete(bot) || signalBots.size) return;
+    SHUTDOWN_SIGNALS.forEach(signal => process.off(signal, onShutdownSignal));
+}
+
+/** A mention at the start of a message, as an HTML mention tag or plain `@name`, plus separators after it */
+const MENTION_PREFIX = /^\s*(<(a|span)\b[^>]*>[^<]*<\/\2>|@[\w-]+)[\s,:]*/i;
+
+class Bot {
+    /**
+     * @param {Object} options
+     */
+    constructor(options) {
+        const config = validateConfig(options);
+        /** @type {Logger} */
+        this.logger = config.logger || new Logger({ level: config.logLevel, format: config.logFormat, file: config.logFile });
+        /** @type {string|string[]|function(Context): (string|string[]|Promise<string|string[]>)} */
+        this.prefix = config.prefix;
+        this.mentionPrefix = Boolean(config.mentionPrefix);
+        this.caseInsensitivePrefix = Boolean(config.caseInsensitivePrefix);
+        this.baseUrl = config.baseUrl;
+        this.onError = config.onError;
+        this.onStart = config.onStart;
+        this.onMessage = config.onMessage;
+        this.autoReconnect = config.autoReconnect;
+        this.maxMessageLength = config.maxMessageLength;
+        this.reconnectAttempts = config.reconnectAttempts;
+        this.reconnectBaseDelay = config.reconnectBaseDelay;
+        this.reconnectMaxDelay = config.reconnectMaxDelay;
+        this.helpCommand = config.helpCommand;
+        this.suggestCommands = config.suggestCommands;
+        this.owners = config.owners;
+        this.deniedMessage = config.deniedMessage;
+        this.splitLongMessages = config.splitLongMessages;
+        this.quoteReplies = config.quoteReplies;
+        this.echoTimeout = config.echoTimeout;
+        this.markdown = Boolean(config.markdown);
+        this.serverSyncInterval = config.serverSyncInterval;
+        this.maxQueueSize = config.maxQueueSize;
+        this.queuePolicy = config.queuePolicy;
+        this.token = "";
+        this.botId = "";
+        /** @type {Object|null} The bot's own user data, fetched by `run()` */
+        this.user = null;
+        /** @type {string[]} */
+        this.serverIds = [];
+        /** @type {Map<string, ServerConnection>} */
+        this.connections = new Map();
+        /** @type {Map<string, any>} The current socket of each connection */
+        this.sioInstances = new Map();
+        this.cache = new ResourceCache(createCacheBackend(config, this.logger.child("cache")), config.cacheTTL);
+        try {
+            this.store = new Store(createStoreBackend(config, this.logger.child("store")));
+        } catch (err) {
+            // Don't keep the cache file for a bot that will never run
+            this.cache.backend.close?.();
+            throw err;
+        }
+        this.rest = new RestClient({
+            baseUrl: this.baseUrl,
+            headers: () => ({ Cookie: `token=${encodeURIComponent(this.token)}; op=${encodeURIComponent(this.botId)}` }),
+            timeout: config.requestTimeout,
+            retries: config.requestRetries,
+            retryBaseDelay: config.retryBaseDelay
+        });
+        this.events = new EventEmitter();
+        /** @type {Map<string, number>} */
+        this.lastSent = new Map();
+        /** @type {Map<string, {items: Object[], timer: ?NodeJS.Timeout}>} */
+        this.outbox = new Map();
+        /** @type {Map<string, number>} */
+        this.cooldowns = new Map();
+        /** @type {Map<string, SentMessage[]>} Sent messages waiting for their echo, per server */
+        this.pendingEchoes = new Map();
+        /** @type {Function[]} */
+        this.middleware = [];
+        /** @type {Set<MessageCollector>} */
+        this.collectors = new Set();
+        /** @type {Map<string, Object>} */
+        this.plugins = new Map();
+        /** @type {Map<string, Object>} */
+        this.commands = new Map();
+        this.globalCommands = config.globalCommands;
+        this.performanceMetrics = { messagesSent: 0, commandsProcessed: 0, errors: 0 };
+        /** @type {?NodeJS.Timeout} */
+        this.cacheWiper = null;
+        /** @type {?NodeJS.Timeout} */
+        this.serverSync = null;
+        /** @type {Map<string, "join"|"leave">} */
+        this.serverOverrides = new Map();
+        this.scheduler = new Scheduler(this, { path: config.schedulePath });
+        this.metricsPort = config.metricsPort;
+        this.metricsHost = config.metricsHost;
+        /** @type {?http.Server} */
+        this.metricsServer = null;
+        /** @type {?number} When `run()` last started the bot */
+        this.startedAt = null;
+        this.metrics = new MetricsRegistry();
+        this._registerMetrics();
+        this.moderation = new Moderator(this, config.moderation);
+        this.shutdownTimeout = config.shutdownTimeout;
+        this.handleSignals = config.handleSignals;
+        /** @type {"stopped"|"running"|"stopping"} */
+        this.state = "stopped";
+        /** @type {?Promise<void>} Pending `stop()`, shared by concurrent callers */
+        this.stopping = null;
+        /** @type {Set<Promise<void>>} Message handlers that have not finished yet */
+        this.inFlight = new Set();
+        /** @type {?readline.Interface} */
+        this.rl = null;
+        if (config.cli) this.startCLI();
+    }
+
+    /**
+     * Starts the stdin command-line interface. Only one bot per process should use it.
+     */
+    startCLI() {
+        if (this.rl) return;
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            historySize: 100
+        });
+        this.rl = rl;
+        // With a TTY, Ctrl+C reaches readline instead of the process
+        if (this.handleSignals) rl.on("SIGINT", () => onShutdownSignal("SIGINT"));
+
+        rl.on("line", (input) => {
+            const trimmed = input.trim();
+            if (!trimmed) return;
+
+            const [cmd, ...args] = trimmed.split(" ");
+            const command = cmd.toLowerCase();
+
+            switch (command) {
+                case "status":
+                    console.log(`Connected to ${this.serverIds.length} server${this.serverIds.length === 1 ? "" : "s"}`);
+                    console.log(`Metrics: ${JSON.stringify(this.performanceMetrics)}`);
+                    console.log(`Queued messages: ${this.queueSize()}`);
+                    for (const [serverId, connection] of this.connections) {
+                        const latency = connection.latency === null ? "" : `, ${connection.latency}ms`;
+                        const attempts = connection.state === "reconnecting" ? `, attempt ${connection.attempts}/${this.reconnectAttempts}` : "";
+                        console.log(`  [${serverId}] ${connection.state}${latency}${attempts}`);
+                    }
+                    const cacheStats = this.cache.stats();
+                    console.log(`Cache: ${cacheStats.size} entries, ${cacheStats.hits} hits, ${cacheStats.misses} misses (${(cacheStats.hitRate * 100).toFixed(1)}% hit rate)`);
+                    break;
+                case "listservers":
+                    console.log(this.serverIds.length ? this.serverIds.join("\n") : "(none)");
+                    break;
+                case "change":
+                    if (!args[0] || !args[1]) return console.log("Usage: change <key> <value>");
+                    this.change(args[0], args[1]);
+                    break;
+                case "join":
+                    if (!args[0]) return console.log("Usage: join <serverId>");
+                    if (!this.joinServer(args[0])) console.log(`Already connected to [${args[0]}]`);
+                    break;
+                case "leave":
+                    if (!args[0]) return console.log("Usage: leave <serverId>");
+                    if (!this.leaveServer(args[0])) console.log(`Not connected to [${args[0]}]`);
+                    break;
+                case "reconnect":
+                    if (!args[0]) return console.log("Usage: reconnect <serverId>");
+                    if (!this.reconnect(args[0])) console.log(`Not connected to [${args[0]}]`);
+                    break;
+                case "sync":
+                    this.syncServers();
+                    break;
+                case "plugins":
+                    console.log(this.plugins.size ? [...this.plugins.keys()].join("\n") : "(none)");
+                    break;
+                case "reload":
+                    if (!args[0]) return console.log("Usage: reload <plugin>");
+                    this.reloadPlugin(args[0]).catch(err => {
+                        this.logger.child("plugin").error(`Failed to reload [${args[0]}]`, err);
+                        this.onError(err, "reload");
+                    });
+                    break;
+                case "schedules": {
+                    const jobs = this.scheduler.list();
+                    if (!jobs.length) return console.log("(none)");
+                    for (const job of jobs) {
+                        const when = job.cron ? `cron "${job.cron.expression}"` : `at ${job.at.toISOString()}`;
+                        const targets = job.targets === "all" ? "all" : job.targets.join(",");
+                        console.log(`${job.id}: ${when} -> ${targets} (next: ${job.nextRun ? job.nextRun.toISOString() : "never"}, runs: ${job.runs})`);
+                    }
+                    break;
+                }
+                case "unschedule":
+                    if (!args[0]) return console.log("Usage: unschedule <id>");
+                    if (this.unschedule(args[0])) console.log(`Cancelled schedule ${args[0]}`);
+                    else console.log(`No schedule with id ${args[0]}`);
+                    break;
+                case "moderation": {
+                    if (args[0] === "reload") {
+                        if (!this.moderation.path) return console.log("Moderation rules were not loaded from a file");
+                        if (this.moderation.reload()) console.log("Moderation rules reloaded");
+                        break;
+                    }
+                    const rules = this.moderation.rules;
+                    console.log(`Moderation: ${rules.enabled ? "enabled" : "disabled"}${this.moderation.path ? ` (${this.moderation.path})` : ""}`);
+                    console.log(`Banned words/patterns: ${rules.banned.length}, strikes: ${this.moderation.strikes.size}, muted: ${[...this.moderation.mutes.values()].filter(until => until > Date.now()).length}`);
+                    break;
+                }
+                case "exit":
+                    this.logger.info("Exiting bot...");
+                    this.stop().finally(() => process.exit(0));
+                    break;
+                case "say":
+                    if (args.length < 2) return console.log("Usage: say <all|server1,server2,...> <message>");
+                    const target = args[0].toLowerCase();
+                    const message = formatMessage(args.slice(1).join(" "), this.splitLongMessages ? Infinity : this.maxMessageLength, { markdown: this.markdown });
+                    const targets = target === "all" ? this.serverIds : target.split(",").map(s => s.trim()).filter(Boolean);
+
+                    for (const sid of targets) {
+                        if (!this.serverIds.includes(sid)) {
+                            console.log(chalk.red(`Not connected to server [${sid}]`));
+                            continue;
+                        }
+                        this.send(message, sid);
+                        console.log(chalk.blue(`Sent to ${sid}: ${message}`));
+                    }
+                    break;
+                default:
+                    console.log("CLI Commands: status, listServers, join <id>, leave <id>, reconnect <id>, sync, plugins, reload <plugin>, schedules, unschedule <id>, moderation [reload], change <key> <value>, exit, say <all|server1,server2,...> <message>");
+            }
+        });
+    }
+
+    startCacheWiper() {
+        clearInterval(this.cacheWiper);
+        this.cacheWiper = setInterval(() => {
+            const removed = this.cache.prune();
+            this.moderation.prune();
+            const now = Date.now();
+            for (const [key, expiry] of this.cooldowns) {
+                if (expiry <= now) this.cooldowns.delete(key);
+            }
+            if (removed) this.logger.child("cache").debug(`Cache pruned (released ${removed} expired entries)`);
+        }, CACHE_PRUNE_INTERVAL_MS);
+        this.cacheWiper.unref?.();
+    }
+
+    /**
+     * Fetches JSON through the cache. Concurrent misses for the same URL share one request.
+     * @param {string} url
+     * @param {{fresh?: boolean, resource?: string, id?: string}} [options] `fresh` skips the cached value;
+     *   `resource` and `id` choose the cache entry (and its TTL), defaulting to the URL
+     * @returns {Promise<any>}
+     * @throws {HTTPError|RateLimitError|AuthError}
+     */
+    async fetchJson(url, options = {}) {
+        const resource = options.resource || "url";
+        const id = options.resource ? String(options.id) : url;
+        if (!options.fresh) {
+            const cached = this.cache.get(resource, id);
+            if (cached !== undefined) return cached;
+        }
+
+        const data = await this.rest.get(url);
+        if (!data || typeof data !== "object") {
+            throw new HTTPError("Invalid API response: Expected JSON object", { status: 200, url });
+        }
+        this.cache.set(resource, id, data);
+        return data;
+    }
+
+    /**
+     * Like `fetchJson`, but reports failures to `onError` and resolves with `null`.
+     * @param {string} url
+     * @returns {Promise<any|null>}
+     */
+    async getJsonCache(url) {
+        try {
+            return await this.fetchJson(url);
+        } catch (err) {
+            this.performanceMetrics.errors++;
+            this.logger.child("rest").error(`getJsonCache [${url}]`, err.message);
+            this.onError(err, "getJsonCache");
+            return null;
+        }
+    }
+
+    /**
+     * @deprecated Use `bot.cache`. This is its backend, whose keys are `resource:id` rather than URLs.
+     * @returns {MemoryCache}
+     */
+    get requestsCache() {
+        warnRequestsCache();
+        return this.cache.backend;
+    }
+
+    _registerMetrics() {
+        const metrics = this.metrics;
+        const perServer = (map, value) => () => [...map].map(([server, item]) => ({ labels: { server }, value: value(item) }));
+
+        metrics.counter("slchat_messages_sent_total", "Messages emitted to servers", [], () => this.performanceMetrics.messagesSent);
+        metrics.counter("slchat_messages_processed_total", "Incoming messages from users that were processed", [], () => this.performanceMetrics.commandsProcessed);
+        metrics.counter("slchat_errors_total", "Errors reported to onError", [], () => this.performanceMetrics.errors);
+        metrics.counter("slchat_commands_total", "Command invocations by result (ok, error, denied, invalid_args)", ["command", "status"]);
+        metrics.histogram("slchat_command_duration_seconds", "Time spent in command handlers", ["command"]);
+        metrics.gauge("slchat_servers", "Servers the bot is a member of", [], () => this.serverIds.length);
+        metrics.gauge("slchat_socket_connected", "Whether the socket for a server is connected", ["server"], perServer(this.sioInstances, socket => socket.connected ? 1 : 0));
+        metrics.counter("slchat_socket_connects_total", "Socket connections per server", ["server"]);
+        metrics.counter("slchat_socket_reconnects_total", "Socket connections after the first one per server", ["server"]);
+        metrics.counter("slchat_socket_disconnects_total", "Socket disconnections per server", ["server"]);
+        metrics.counter("slchat_socket_reconnect_failures_total", "Times reconnecting to a server gave up", ["server"]);
+        metrics.gauge("slchat_socket_latency_seconds", "Round trip measured from the socket heartbeat per server", ["server"], () => [...this.connections]
+            .filter(([, connection]) => connection.connected && connection.latency !== null)
+            .map(([server, connection]) => ({ labels: { server }, value: connection.latency / 1000 })));
+        metrics.gauge("slchat_queue_depth", "Messages waiting in the outbound queue per server", ["server"], perServer(this.outbox, queueLength));
+        metrics.counter("slchat_cache_hits_total", "Cache hits", [], () => this.cache.stats().hits);
+        metrics.counter("slchat_cache_misses_total", "Cache misses", [], () => this.cache.stats().misses);
+        metrics.gauge("slchat_cache_entries", "Entries in the cache", [], () => this.cache.stats().size);
+        metrics.gauge("slchat_cache_hit_ratio", "Cache hits divided by lookups", [], () => this.cache.stats().hitRate);
+        metrics.counter("slchat_moderation_actions_total", "Messages caught by moderation rules", ["rule", "action"]);
+        metrics.gauge("slchat_uptime_seconds", "Seconds since the bot started", [], () => this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0);
+
+        const rest = metrics.histogram("slchat_rest_request_duration_seconds", "REST request duration per attempt", ["method", "status"]);
+        this.rest.onResponse = ({ method, status, duration }) => rest.observe({ method, status }, duration);
+    }
+
+    /**
+     * @returns {{status: "ok"|"degraded"|"disconnected"|"stopped", uptime: number, servers: Object<string, boolean>}}
+     *   `degraded` when only some sockets are connected
+     */
+    health() {
+        const servers = {};
+        this.serverIds.forEach(id => { servers[id] = Boolean(this.sioInstances.get(id)?.connected); });
+        const connected = Object.values(servers).filter(Boolean).length;
+        let status = "ok";
+        if (!this.startedAt) status = "stopped";
+        else if (this.serverIds.length && !connected) status = "disconnected";
+        else if (connected < this.serverIds.length) status = "degraded";
+        return { status, uptime: this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0, servers };
+    }
+
+    /**
+     * Serves `/metrics` in the Prometheus text format and `/health` as JSON. `/health` answers
+     * 200 while the bot is `ok` or `degraded`, and 503 otherwise.
+     * @param {number} [port=this.metricsPort] `0` picks a free port
+     * @param {string} [host=this.metricsHost]
+     * @returns {Promise<string>} Base URL of the server
+     */
+    async startMetricsServer(port = this.metricsPort, host = this.metricsHost) {
+        if (this.metricsServer) await this.stopMetricsServer();
+        const server = http.createServer((req, res) => {
+            const pathname = (req.url || "/").split("?")[0];
+            if (req.method !== "GET") {
+                res.writeHead(405, { Allow: "GET" });
+                return res.end();
+            }
+            if (pathname === "/metrics") {
+                res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+                return res.end(this.metrics.render());
+            }
+            if (pathname === "/health") {
+                const health = this.health();
+                res.writeHead(["ok", "degraded"].includes(health.status) ? 200 : 503, { "Content-Type": "application/json" });
+                return res.end(JSON.stringify(health));
+            }
+            res.writeHead(404);
+            res.end();
+        });
+        await new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port || 0, host, resolve);
+        });
+        server.unref();
+        this.metricsServer = server;
+        const { port: boundPort } = server.address();
+        const url = `http://${host === "0.0.0.0" ? "127.0.0.1" : host}:${boundPort}`;
+        this.logger.child("metrics").info(`Serving metrics on ${url}/metrics`);
+        return url;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async stopMetricsServer() {
+        const server = this.metricsServer;
+        if (!server) return;
+        this.metricsServer = null;
+        const closed = new Promise(resolve => server.close(() => resolve()));
+        server.closeAllConnections?.();
+        await closed;
+    }
+
+    /**
+     * @param {string} token
+     * @param {string} botId
+     * @returns {Promise<boolean>} Whether the bot fetched its servers and connected
+     */
+    async run(token, botId) {
+        if (!token || !botId) throw new Error("Token and botId are required");
+        if (this.stopping) await this.stopping;
+        // stop() released the files, and another bot may have taken them since
+        this.store.backend.open?.();
+        this.cache.backend.open?.();
+        this.token = token;
+        this.botId = botId;
+
+        try {
+            const res = await this.getUser(botId);
+            if (!res) {
+                throw new Error("Failed to fetch user data: No response");
+            }
+            this.user = res;
+            this.serverIds = parseServerIds(res);
+            this.logger.success(`Connected to servers: ${this.serverIds.join(", ") || "(none)"}`);
+        } catch (err) {
+            this.performanceMetrics.errors++;
+            this.logger.error("Failed to fetch the bot's user data", err);
+            this.onError(err, "run:fetchUser");
+            return false;
+        }
+
+        this.state = "running";
+        this.startedAt = Date.now();
+        if (this.handleSignals) watchSignals(this);
+        for (const serverId of this.serverIds) this._connectSocket(serverId);
+        if (this.metricsPort !== null && this.metricsPort !== undefined && !this.metricsServer) {
+            this.startMetricsServer().catch(err => {
+                this.performanceMetrics.errors++;
+                this.logger.child("metrics").error("Failed to start the metrics server", err);
+                this.onError(err, "startMetricsServer");
+            });
+        }
+        this.onStart();
+        this.startCacheWiper();
+        this.startServerSync();
+        this.scheduler.start();
+        this.events.emit("start");
+        return true;
+    }
+
+    /**
+     * Shuts the bot down: new messages are ignored, running command handlers get up to
+     * `timeout` ms to finish, queued messages are sent, then timers, the CLI and sockets are closed.
+     * Emits `stopping` first and `stop` and `stopped` when done. Calling it again while the
+     * bot is stopping returns the same promise.
+     * @param {{timeout?: number}} [options] Defaults to `shutdownTimeout`
+     * @returns {Promise<void>}
+     */
+    stop(options = {}) {
+        if (!this.stopping) {
+            this.stopping = this._shutdown(options.timeout ?? this.shutdownTimeout).finally(() => {
+                this.stopping = null;
+            });
+        }
+        return this.stopping;
+    }
+
+    /**
+     * @param {number} timeout
+     * @returns {Promise<void>}
+     */
+    async _shutdown(timeout) {
+        const lifecycle = this.logger.child("lifecycle");
+        const deadline = Date.now() + timeout;
+        this.state = "stopping";
+        this.events.emit("stopping");
+
+        clearInterval(this.cacheWiper);
+        clearInterval(this.serverSync);
+        this.cacheWiper = null;
+        this.serverSync = null;
+        this.scheduler.stop();
+        for (const collector of [...this.collectors]) collector.stop("stop");
+        if (this.rl) {
+            this.rl.close();
+            this.rl = null;
+        }
+
+        if (this.inFlight.size) {
+            lifecycle.info(`Waiting for ${this.inFlight.size} running handler(s)...`);
+            if (!await settleWithin([...this.inFlight], deadline - Date.now())) {
+                lifecycle.warn(`${this.inFlight.size} handler(s) still running after ${timeout}ms`);
+            }
+        }
+
+        await this.store.idle();
+        await this.store.backend.close?.();
+        this.cache.backend.flush?.();
+        this.cache.backend.close?.();
+
+        // Nothing more will reach servers that are down
+        for (const [serverId, connection] of this.connections) {
+            if (!connection.connected) this._dropQueue(serverId);
+        }
+        const pending = [];
+        for (const queue of this.outbox.values()) {
+            for (const item of queue.items) pending.push(new Promise(resolve => item.resolvers.push(resolve)));
+        }
+        if (pending.length && !await settleWithin(pending, deadline - Date.now())) {
+            lifecycle.warn("Timed out flushing queued messages, dropping the rest");
+        }
+        for (const queue of this.outbox.values()) {
+            clearTimeout(queue.timer);
+            queue.items.forEach(settleQueueItem);
+        }
+        this.outbox.clear();
+        for (const pending of this.pendingEchoes.values()) {
+            pending.forEach(handle => {
+                clearTimeout(handle.timer);
+                handle._settle(false);
+            });
+        }
+        this.pendingEchoes.clear();
+
+        this.startedAt = null;
+        await this.stopMetricsServer();
+        await settleWithin([...this.sioInstances.values()].map(socketDrained), deadline - Date.now());
+        // Socket.IO servers drop events that arrive just before a disconnect, so let the last ones land
+        const grace = Math.min(Math.max(0, ...this.lastSent.values()) + SHUTDOWN_GRACE_MS, deadline) - Date.now();
+        if (grace > 0) await new Promise(resolve => setTimeout(resolve, grace));
+        this.connections.forEach(connection => connection.close());
+        this.connections.clear();
+        this.sioInstances.clear();
+        unwatchSignals(this);
+        this.state = "stopped";
+        this.events.emit("stop");
+        this.events.emit("stopped");
+    }
+
+    /**
+     * Stops the bot and runs it again with the same token and id. The CLI is reopened if it was running.
+     * @param {{timeout?: number}} [options] Passed to `stop()`
+     * @returns {Promise<boolean>} Whether the bot started again
+     */
+    async restart(options = {}) {
+        if (!this.token || !this.botId) throw new Error("Cannot restart a bot that was never run");
+        const cli = Boolean(this.rl);
+        await this.stop(options);
+        if (cli) this.startCLI();
+        this.events.emit("restart");
+        return this.run(this.token, this.botId);
+    }
+
+    startServerSync() {
+        clearInterval(this.serverSync);
+        if (!this.serverSyncInterval) return;
+        this.serverSync = setInterval(() => this.syncServers(), this.serverSyncInterval);
+    }
+
+    /**
+     * Re-fetches the bot's server list and connects to or disconnects from servers that changed.
+     * Servers joined or left by hand with `joinServer`/`leaveServer` keep that state.
+     * Does nothing unless the bot is running, including when it stops during the fetch.
+     * @returns {Promise<{joined: string[], left: string[]}|null>}
+     */
+    async syncServers() {
+        if (this.state !== "running") return null;
+        let res;
+        try {
+            res = await this.fetchJson(`${this.baseUrl}/api/user/${this.botId}/`, { fresh: true, resource: "user", id: this.botId });
+        } catch (err) {
+            this.performanceMetrics.errors++;
+            this.logger.child("server").error("Failed to sync servers", err.message);
+            this.onError(err, "syncServers");
+            return null;
+        }
+        if (this.state !== "running") return null;
+
+        const wanted = new Set(parseServerIds(res));
+        for (const [serverId, override] of this.serverOverrides) {
+            if (override === "join") wanted.add(serverId);
+            else wanted.delete(serverId);
+        }
+
+        const joined = [...wanted].filter(id => !this.serverIds.includes(id));
+        const left = this.serverIds.filter(id => !wanted.has(id));
+        for (const serverId of joined) this._addServer(serverId);
+        for (const serverId of left) this._removeServer(serverId);
+        if (joined.length || left.length) {
+            this.logger.child("server").info(`Server list synced (+${joined.length} / -${left.length})`);
+        }
+        return { joined, left };
+    }
+
+    /**
+     * Connects to a server and keeps it connected across syncs.
+     * @param {string} serverId
+     * @returns {boolean} Whether the bot was not connected before
+     */
+    joinServer(serverId) {
+        const id = String(serverId);
+        this.serverOverrides.set(id, "join");
+        if (this.serverIds.includes(id)) return false;
+        this._addServer(id);
+        return true;
+    }
+
+    /**
+     * Disconnects from a server and keeps it disconnected across syncs.
+     * @param {string} serverId
+     * @returns {boolean} Whether the bot was connected before
+     */
+    leaveServer(serverId) {
+        const id = String(serverId);
+        this.serverOverrides.set(id, "leave");
+        if (!this.serverIds.includes(id)) return false;
+        this._removeServer(id);
+        return true;
+    }
+
+    /**
+     * @param {string} serverId
+     */
+    _addServer(serverId) {
+        this.serverIds.push(serverId);
+        this._connectSocket(serverId);
+        this.logger.child("server").success(`Joined server [${serverId}]`);
+        this.events.emit("serverJoin", serverId);
+    }
+
+    /**
+     * @param {string} serverId
+     */
+    _removeServer(serverId) {
+        this.serverIds = this.serverIds.filter(id => id !== serverId);
+        this.connections.get(serverId)?.close();
+        this.connections.delete(serverId);
+
+        this._dropQueue(serverId);
+        this.outbox.delete(serverId);
+        this.lastSent.delete(serverId);
+        for (const collector of [...this.collectors]) {
+            if (collector.serverId === serverId) collector.stop("serverLeave");
+        }
+        this.logger.child("server").info(`Left server [${serverId}]`);
+        this.events.emit("serverLeave", serverId);
+    }
+
+    /**
+     * @param {string} serverId
+     */
+    _connectSocket(serverId) {
+        if (!this.connections.has(serverId)) this.connections.set(serverId, new ServerConnection(this, serverId));
+        this.connections.get(serverId).open();
+    }
+
+    /**
+     * Reconnects to a server straight away, e.g. after `reconnectFailed`.
+     * @param {string} serverId
+     * @returns {boolean} Whether the bot is a member of the server
+     */
+    reconnect(serverId) {
+        const connection = this.connections.get(String(serverId));
+        if (!connection) return false;
+        connection.reconnect();
+        return true;
+    }
+
+    /**
+     * The round trip to a server, measured from its socket's heartbeats. Servers ping every 25s
+     * by default, so the first value is known about two heartbeats after connecting.
+     * @param {string} serverId
+     * @returns {?number} Latency in ms, or `null` if the socket is down or not measured yet
+     */
+    ping(serverId) {
+        const connection = this.connections.get(String(serverId));
+        return connection?.connected ? connection.latency : null;
+    }
+
+    /**
+     * @param {string} serverId
+     * @returns {?ConnectionState} `null` if the bot is not a member of the server
+     */
+    connectionState(serverId) {
+        return this.connections.get(String(serverId))?.state || null;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<any|null>}
+     */
+    async getUser(id) {
+        return await this._getResource(`${this.baseUrl}/api/user/${id}/`, "user", id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<any|null>}
+     */
+    async getServer(id) {
+        return await this._getResource(`${this.baseUrl}/api/server/${id}/`, "server", id);
+    }
+
+    /**
+     * @param {string} url
+     * @param {string} resource
+     * @param {string} id
+     * @returns {Promise<any|null>} `null` if the API answers 404
+     */
+    async _getResource(url, resource, id) {
+        try {
+            return await this.fetchJson(url, { resource, id });
+        } catch (err) {
+            if (err instanceof HTTPError && err.status === 404) return null;
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async isBot(id) {
+        try {
+            const user = await this.getUser(id);
+            return user?.label?.name === "BOT" || false;
+        } catch (err) {
+            this.performanceMetrics.errors++;
+            this.logger.child("rest").error("isBot", err.message);
+            this.onError(err, "isBot");
+            return false;
+        }
+    }
+
+    /**
+     * @param {any} prompt
+     */
+    onSocketMessage(prompt) {
+        if (!prompt?.message || !prompt?.server_id) return;
+        if (this.state === "stopping") return;
+        const message = new Message(prompt.message, prompt.server_id, this);
+        if (message.author.id === this.botId) this._matchEcho(message);
+        const ctx = new Context(message, message.serverId, this);
+        const handler = this._handleMessage(ctx, this._feedCollectors(ctx));
+        this.inFlight.add(handler);
+        handler.finally(() => this.inFlight.delete(handler));
+        this.events.emit("message", prompt, message);
+    }
+
+    /**
+     * @param {Context} ctx
+     * @returns {boolean} Whether a collector took the message
+     */
+    _feedCollectors(ctx) {
+        if (!this.collectors.size || ctx.isBot) return false;
+        let collected = false;
+        for (const collector of [...this.collectors]) {
+            try {
+                if (collector.handle(ctx)) collected = true;
+            } catch (err) {
+                this.performanceMetrics.errors++;
+                this.onError(err, "collector");
+                this.logger.child("collector").error("Collector failed", err);
+            }
+        }
+        return collected;
+    }
+
+    /**
+     * @param {CollectorOptions} [options]
+     * @returns {MessageCollector}
+     */
+    createCollector(options) {
+        return new MessageCollector(this, options);
+    }
+
+    /**
+     * Resolves with the next matching message, or `null` if none arrives in time.
+     * @param {CollectorOptions} [options]
+     * @returns {Promise<Context|null>}
+     */
+    awaitMessage(options = {}) {
+        const collector = this.createCollector({ timeout: 30000, ...options, max: 1 });
+        return new Promise(resolve => {
+            collector.once("end", collected => resolve(collected[0] || null));
+        });
+    }
+
+    /**
+     * @param {Message|Object} message A `Message`, or a raw message payload
+     * @param {string} [serverId] Required with a raw payload
+     */
+    async checkNewCommand(message, serverId) {
+        let ctx;
+        try {
+            ctx = new Context(message, serverId, this);
+        } catch (err) {
+            this.performanceMetrics.errors++;
+            this.onError(err, "checkNewCommand");
+            this.logger.child("command").error("Failed to handle message", err);
+            return;
+        }
+        await this._handleMessage(ctx);
+    }
+
+    /**
+     * Runs `onMessage`, moderation, middleware and the command for a message.
+     * @param {Context} ctx
+     * @param {boolean} [collected=false] A collector or dialog took the message, so it is not run as a command
+     */
+    async _handleMessage(ctx, collected = false) {
+        try {
+            if (await this.isBot(ctx.message.author.id)) return;
+
+            this.onMessage(ctx);
+            this.performanceMetrics.commandsProcessed++;
+            if (this.moderation.check(ctx) || collected) return;
+
+            await this._resolveCommand(ctx);
+            await composeMiddleware(this.middleware)(ctx, () => this._runCommand(ctx));
+        } catch (err) {
+            this.performanceMetrics.errors++;
+            this.onError(err, "checkNewCommand");
+            this.logger.child("command").error(ctx?.command ? `Command [${ctx.command.path}] failed` : "Failed to handle message", err);
+            if (ctx?.command) this.events.emit("commandError", ctx.command.path, err, ctx);
+        }
+    }
+
+    /**
+     * Sends a message on a cron schedule, e.g. `"0 9 * * 1-5"` for 09:00 on weekdays.
+     * @param {string} cron
+     * @param {"all"|string|string[]} serverIds
+     * @param {ScheduledMessage} messageOrFn
+     * @param {ScheduleOptions} [options]
+     * @returns {ScheduledJob} Handle with `cancel()`
+     */
+    schedule(cron, serverIds, messageOrFn, options) {
+        return this.scheduler.schedule(cron, serverIds, messageOrFn, options);
+    }
+
+    /**
+     * Sends a message once at `date`.
+     * @param {Date|number|string} date
+     * @param {"all"|string|string[]} serverIds
+     * @param {ScheduledMessage} messageOrFn
+     * @param {ScheduleOptions} [options]
+     * @returns {ScheduledJob} Handle with `cancel()`
+     */
+    sendAt(date, serverIds, messageOrFn, options) {
+        return this.scheduler.sendAt(date, serverIds, messageOrFn, options);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether a job was cancelled
+     */
+    unschedule(id) {
+        return this.scheduler.cancel(id);
+    }
+
+    /**
+     * Registers a command for this bot only.
+     * @param {string} name
+     * @param {?Function} func
+     * @param {CommandOptions} [options]
+     * @returns {Bot}
+     */
+    command(name, func, options = {}) {
+        registerCommand(this.commands, name, func, options, this.logger.child("command"));
+        return this;
+    }
 
-                    for (const sid of targets) {
-                        if (!this.serverIds.includes(sid)) {
-                            log(chalk.red(`[ERROR] Not connected to server [${sid}]`));
-                            continue;
-                        }
-                        this.send(message, sid);
-                        log(chalk.blue(`[CLI-SAY] Sent to ${sid}: ${message}`));
-                    }
-                    break;
-                default:
-                    console.log("CLI Commands: status, listServers, change <key> <value>, exit, say <all|server1,server2,...> <message>");
-            }
-        });
+    /**
+     * Commands this bot responds to: the built-in `help`, then global commands, then its own
+     * commands, each overriding the previous ones.
+     * @returns {Map<string, Object>}
+     */
+    commandRegistry() {
+        const registry = new Map();
+        if (this.helpCommand) registry.set("help", HELP_COMMAND);
+        if (this.globalCommands) commandEntries.forEach((entry, name) => registry.set(name, entry));
+        this.commands.forEach((entry, name) => registry.set(name, entry));
+        return registry;
     }
 
-    startCacheWiper() {
-        setInterval(() => {
-            const sizeBefore = this.requestsCache.store.size;
-            this.requestsCache.clear();
-            log(chalk.blue(`[INFO] Cache cleared (released ${sizeBefore} entries)`));
-        }, CACHE_TTL_MS);
+    /**
+     * Registers Koa-style middleware, called as `fn(ctx, next)` for every message before command dispatch.
+     * Not calling `next()` stops the message from reaching later middleware and the command.
+     * @param {(ctx: Context, next: () => Promise<void>) => any} fn
+     * @returns {Bot}
+     */
+    use(fn) {
+        if (typeof fn !== "function") throw new Error("Invalid middleware: must be a function");
+        this.middleware.push(fn);
+        return this;
     }
 
     /**
-     * @param {string} url
-     * @returns {Promise<any|null>}
+     * Loads a plugin from a module path or a plugin object.
+     * @param {string|Plugin} source
+     * @returns {Promise<string>} Name of the loaded plugin
      */
-    async getJsonCache(url) {
-        const cached = this.requestsCache.get(url);
-        if (cached) return cached;
+    async loadPlugin(source) {
+        const file = typeof source === "string" ? require.resolve(path.resolve(source)) : null;
+        const plugin = file ? require(file) : source;
+        if (!plugin || typeof plugin !== "object") {
+            if (file) delete require.cache[file];
+            throw new Error(`Invalid plugin${file ? ` [${file}]` : ""}: must export an object`);
+        }
+        const base = file && path.basename(file) === "index.js" ? path.dirname(file) : file;
+        const name = plugin.name || (base ? path.basename(base, ".js") : "");
+        if (!name) throw new Error("Invalid plugin: a plugin object needs a name");
+        if (this.plugins.has(name)) throw new Error(`Plugin '${name}' is already loaded`);
 
+        const record = { name, plugin, file, commands: [], listeners: [], middleware: [] };
+        this.plugins.set(name, record);
         try {
-            const response = await axios.get(url, {
-                withCredentials: true,
-                headers: {
-                    "Cookie": `token=${encodeURIComponent(this.token)}; op=${encodeURIComponent(this.botId)}`
-                }
-            });
-            if (response.status >= 400) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const commands = Array.isArray(plugin.commands)
+                ? plugin.commands.map(def => [def.name, def])
+                : Object.entries(plugin.commands || {});
+            for (const [cmdName, def] of commands) {
+                const key = String(cmdName).toLowerCase();
+                // Remember the command this one replaces so unloading brings it back
+                const shadowed = this.commands.get(key) || null;
+                record.commands.push([key, registerCommand(this.commands, cmdName, def.run, def, this.logger.child("command")), shadowed]);
             }
-            const data = response.data;
-            if (!data || typeof data !== "object") {
-                throw new Error("Invalid API response: Expected JSON object");
+            for (const [event, listener] of Object.entries(plugin.events || {})) {
+                this.events.on(event, listener);
+                record.listeners.push([event, listener]);
             }
-            this.requestsCache.set(url, data);
-            return data;
+            for (const fn of plugin.middleware || []) {
+                this.use(fn);
+                record.middleware.push(fn);
+            }
+            if (typeof plugin.setup === "function") await plugin.setup(this);
         } catch (err) {
-            this.performanceMetrics.errors++;
-            const errorMsg = err.response
-                ? `HTTP ${err.response.status}: ${err.message}`
-                : err.message;
-            errorLog(`getJsonCache [${url}]`, errorMsg);
-            this.onError(err, "getJsonCache");
-            return null;
+            await this._removePlugin(record, false);
+            throw err;
         }
+
+        this.logger.child("plugin").success(`Loaded plugin: ${name}`);
+        this.events.emit("pluginLoad", name);
+        return name;
     }
 
     /**
-     * @param {string} token
-     * @param {string} botId
+     * Loads every `.js` file and every folder with an entry point in `dir`.
+     * A plugin that fails to load is reported to `onError` and skipped.
+     * @param {string} dir
+     * @returns {Promise<string[]>} Names of the loaded plugins
      */
-    async run(token, botId) {
-        if (!token || !botId) throw new Error("Token and botId are required");
-        this.token = token;
-        this.botId = botId;
+    async loadPlugins(dir) {
+        const root = path.resolve(dir);
+        const loaded = [];
+        for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+            if (entry.name.startsWith(".") || entry.name.startsWith("_")) continue;
+            if (entry.isFile() && !entry.name.endsWith(".js")) continue;
+            try {
+                loaded.push(await this.loadPlugin(path.join(root, entry.name)));
+            } catch (err) {
+                this.performanceMetrics.errors++;
+                this.logger.child("plugin").error(`Failed to load [${entry.name}]`, err);
+                this.onError(err, "loadPlugins");
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * Runs the plugin's teardown and removes its commands, listeners and middleware.
+     * @param {string} name
+     * @returns {Promise<boolean>} Whether a plugin with that name was loaded
+     */
+    async unloadPlugin(name) {
+        const record = this.plugins.get(name);
+        if (!record) return false;
+        await this._removePlugin(record, true);
+        this.logger.child("plugin").info(`Unloaded plugin: ${name}`);
+        this.events.emit("pluginUnload", name);
+        return true;
+    }
+
+    /**
+     * Unloads a plugin and requires its file again. Sockets stay connected.
+     * @param {string} name
+     * @returns {Promise<string>}
+     */
+    async reloadPlugin(name) {
+        const record = this.plugins.get(name);
+        if (!record) throw new Error(`Plugin '${name}' is not loaded`);
+        if (!record.file) throw new Error(`Plugin '${name}' was not loaded from a file and cannot be reloaded`);
+        await this.unloadPlugin(name);
+        return this.loadPlugin(record.file);
+    }
 
+    /**
+     * @param {Object} record
+     * @param {boolean} teardown
+     */
+    async _removePlugin(record, teardown) {
+        this.plugins.delete(record.name);
         try {
-            const res = await this.getJsonCache(`https://${DOMAIN}/api/user/${botId}/`);
-            if (!res) {
-                throw new Error("Failed to fetch user data: No response");
+            if (teardown && typeof record.plugin.teardown === "function") await record.plugin.teardown(this);
+        } finally {
+            for (const [cmdName, entry, shadowed] of [...record.commands].reverse()) {
+                if (this.commands.get(cmdName) === entry) {
+                    if (shadowed) this.commands.set(cmdName, shadowed);
+                    else this.commands.delete(cmdName);
+                    continue;
+                }
+                // A plugin loaded later replaced this command in turn, and now falls back to what this one replaced
+                for (const other of this.plugins.values()) {
+                    for (const item of other.commands) {
+                        if (item[0] === cmdName && item[1] !== entry && item[2] === entry) item[2] = shadowed;
+                    }
+                }
+            }
+            for (const [event, listener] of record.listeners) this.events.off(event, listener);
+            this.middleware = this.middleware.filter(fn => !record.middleware.includes(fn));
+            if (record.file) {
+                // Drop the plugin's own modules from the require cache so a reload picks up changes
+                const dir = path.basename(record.file) === "index.js" ? path.dirname(record.file) + path.sep : null;
+                for (const key of Object.keys(require.cache)) {
+                    if (key === record.file || (dir && key.startsWith(dir) && !key.includes(`${path.sep}node_modules${path.sep}`))) {
+                        delete require.cache[key];
+                    }
+                }
             }
-            this.serverIds = (res.servers || []).map(s => {
-                if (typeof s === "string") return s;
-                return s.id ? s.id.toString() : null;
-            }).filter(id => id !== null);
-            successLog(`Connected to servers: ${this.serverIds.join(", ") || "(none)"}`);
-        } catch (err) {
-            this.performanceMetrics.errors++;
-            errorLog("run:fetchUser", err);
-            this.onError(err, "run:fetchUser");
-            return;
         }
+    }
 
-        for (const serverId of this.serverIds) this._connectSocket(serverId);
-        this.onStart();
-        this.startCacheWiper();
-        this.events.emit("start");
+    /**
+     * The prefixes that apply to a message, calling `prefix` if it is a resolver.
+     * @param {Context} ctx
+     * @returns {Promise<string[]>} In the configured order; the first one is shown in help
+     */
+    async resolvePrefixes(ctx) {
+        const resolved = typeof this.prefix === "function" ? await this.prefix(ctx) : this.prefix;
+        const prefixes = (Array.isArray(resolved) ? resolved : [resolved]).filter(prefix => typeof prefix === "string" && prefix);
+        return prefixes.length ? prefixes : [defaultConfig.prefix];
     }
 
     /**
-     * @param {string} serverId
-     * @param {number} [attempt=0]
+     * Returns the message with its command prefix removed, or `null` if it has none.
+     * @param {Context} ctx
+     * @param {string[]} prefixes
+     * @returns {?string}
      */
-    _connectSocket(serverId, attempt = 0) {
-        const socket = io(`https://${DOMAIN}?server=${serverId}`, {
-        extraHeaders: {
-            Cookie: `op=${this.botId}; token=${this.token}`
-        },
-            reconnection: this.autoReconnect,
-            reconnectionAttempts: this.reconnectAttempts,
-            reconnectionDelay: this.reconnectBaseDelay * Math.pow(2, attempt)
-        });
+    _stripPrefix(ctx, prefixes) {
+        const content = ctx.content;
+        const head = this.caseInsensitivePrefix ? content.toLowerCase() : content;
+        // Longest first, so "!!" wins over "!"
+        const match = [...prefixes]
+            .sort((a, b) => b.length - a.length)
+            .find(prefix => head.startsWith(this.caseInsensitivePrefix ? prefix.toLowerCase() : prefix));
+        if (match !== undefined) {
+            ctx.prefix = match;
+            return content.slice(match.length);
+        }
+        if (!this.mentionPrefix) return null;
 
-        socket.on("connect", () => {
-            successLog(`Socket connected to server [${serverId}]`);
-            this.events.emit("connect", serverId);
-        });
+        const mention = content.match(MENTION_PREFIX);
+        if (!mention) return null;
+        const [mentioned] = parseMessageHtml(mention[1]).mentions;
+        const names = [this.botId, this.user?.username, this.user?.name].filter(Boolean).map(name => String(name).toLowerCase());
+        if (!mentioned || !names.includes(mentioned.toLowerCase())) return null;
+        ctx.prefix = prefixes[0];
+        return content.slice(mention[0].length);
+    }
 
-        socket.on("disconnect", reason => {
-            log(chalk.yellow(`Disconnected from [${serverId}]: ${reason}`));
-            this.events.emit("disconnect", serverId, reason);
-        });
+    /**
+     * Finds the command (and subcommand) a message refers to, so middleware can inspect it.
+     * @param {Context} ctx
+     */
+    async _resolveCommand(ctx) {
+        const stripped = this._stripPrefix(ctx, await this.resolvePrefixes(ctx));
+        if (stripped === null) return;
 
-        socket.on("connect_error", err => {
-            errorLog(`Socket [${serverId}]`, err);
-            if (attempt < this.reconnectAttempts) {
-                setTimeout(() => this._connectSocket(serverId, attempt + 1), this.reconnectBaseDelay * Math.pow(2, attempt));
-            }
-        });
+        const body = stripped.trim();
+        const cmdName = body.split(/\s+/)[0].toLowerCase();
+        let arg = body.slice(cmdName.length).trim();
+        ctx.commandName = cmdName;
 
-        socket.on("prompt", data => this.onSocketMessage(data));
-        socket.on("message", data => this.onSocketMessage(data));
+        let entry = findCommand(this.commandRegistry(), cmdName);
+        while (entry && entry.subcommands.size) {
+            const next = arg.split(/\s+/)[0];
+            const sub = findCommand(entry.subcommands, next);
+            if (!sub) break;
+            entry = sub;
+            arg = arg.slice(next.length).trim();
+        }
+        ctx.command = entry;
+        ctx.rawArgs = arg;
+        ctx.args = tokenize(arg);
+    }
+
+    /**
+     * Final step of the middleware chain: applies guards, parses arguments and runs the handler.
+     * @param {Context} ctx
+     */
+    async _runCommand(ctx) {
+        if (!ctx.commandName) return;
+
+        const entry = ctx.command;
+        if (!entry) {
+            const err = `Unknown command: ${ctx.commandName}`;
+            this.onError(err, "checkNewCommand");
+            this.logger.child("command").debug(err);
+            const suggestion = this.suggestCommands ? suggestCommand(ctx.commandName, this.commandRegistry()) : null;
+            if (suggestion) ctx.reply(`embed:warn:Unknown command ${escapeHtml(ctx.prefix + ctx.commandName)}. Did you mean ${escapeHtml(ctx.prefix + suggestion)}?`);
+            return;
+        }
+
+        const commands = this.metrics.get("slchat_commands_total");
+        const denial = await this._checkGuards(entry, ctx);
+        if (denial) {
+            commands.inc({ command: entry.path, status: "denied" });
+            this._deny(entry, ctx, denial);
+            return;
+        }
 
-        this.sioInstances.set(serverId, socket);
+        if (!entry.func) {
+            ctx.sendRaw(renderHelp(ctx.prefix, entry.path, this.commandRegistry()));
+            return;
+        }
+
+        if (entry.schema) {
+            try {
+                ctx.params = parseArgs(ctx.rawArgs, entry.schema);
+            } catch (err) {
+                if (!(err instanceof ArgumentError)) throw err;
+                const usage = entry.usage || formatUsage(entry.path, entry.schema, ctx.prefix);
+                commands.inc({ command: entry.path, status: "invalid_args" });
+                ctx.reply(`embed:error:${escapeHtml(err.message)}\nUsage: ${escapeHtml(usage)}`);
+                this.events.emit("argumentError", entry.path, err, ctx);
+                return;
+            }
+        }
+        this._startCooldown(entry, ctx);
+        this.logger.child("command").debug(`${entry.path} -> ${ctx.owner.name}`);
+        const endTimer = this.metrics.get("slchat_command_duration_seconds").startTimer({ command: entry.path });
+        let status = "error";
+        try {
+            if (entry.schema) {
+                await entry.func(ctx, ctx.params);
+            } else {
+                await (entry.func.length > 1 ? entry.func(ctx, ctx.rawArgs) : entry.func(ctx));
+            }
+            status = "ok";
+        } finally {
+            endTimer();
+            commands.inc({ command: entry.path, status });
+        }
+        this.events.emit("command", entry.path, ctx);
     }
 
     /**
-     * @param {string} id
-     * @returns {Promise<any|null>}
+     * @param {Object} entry
+     * @param {Context} ctx
+     * @returns {Array<{scope: string, key: string, duration: number}>}
      */
-    async getUser(id) {
-        return await this.getJsonCache(`https://${DOMAIN}/api/user/${id}/`);
+    _cooldownKeys(entry, ctx) {
+        const { user, server, global } = entry.guards.cooldown;
+        return [
+            { scope: "global", key: `${entry.path}`, duration: global },
+            { scope: "server", key: `${entry.path}:server:${ctx.serverId}`, duration: server },
+            { scope: "user", key: `${entry.path}:user:${ctx.owner.id}`, duration: user }
+        ].filter(item => item.duration > 0);
     }
-    async getServer(id) {
-    return await this.getJsonCache(`https://${DOMAIN}/api/server/${id}/`);
+
+    /**
+     * Runs the permission guards of a command and its parent groups, then its cooldowns.
+     * @param {Object} entry
+     * @param {Context} ctx
+     * @returns {Promise<?{reason: string, scope?: string, remaining?: number}>}
+     */
+    async _checkGuards(entry, ctx) {
+        const userId = String(ctx.owner.id);
+        const chain = [];
+        for (let node = entry; node; node = node.parent) chain.unshift(node);
+
+        for (const node of chain) {
+            const guards = node.guards;
+            if (guards.denyUsers && guards.denyUsers.includes(userId)) return { reason: "userDenied" };
+            if (guards.allowUsers && !guards.allowUsers.includes(userId)) return { reason: "userDenied" };
+            if (guards.ownerOnly && !this.owners.includes(userId)) return { reason: "ownerOnly" };
+            if (guards.serverOwnerOnly || guards.check) {
+                const server = await this.getServer(ctx.serverId);
+                if (guards.serverOwnerOnly && getServerOwnerId(server) !== userId) return { reason: "serverOwnerOnly" };
+                if (guards.check && !(await guards.check(ctx, server))) return { reason: "check" };
+            }
+        }
+
+        if (!entry.func) return null;
+        const now = Date.now();
+        for (const { scope, key } of this._cooldownKeys(entry, ctx)) {
+            const expiry = this.cooldowns.get(key);
+            if (expiry && expiry > now) return { reason: "cooldown", scope, remaining: expiry - now };
+        }
+        return null;
     }
+
     /**
-     * @param {string} id
-     * @returns {Promise<boolean>}
+     * @param {Object} entry
+     * @param {Context} ctx
      */
-    async isBot(id) {
-        const user = await this.getUser(id);
-        return user?.label?.name === "BOT" || false;
+    _startCooldown(entry, ctx) {
+        const now = Date.now();
+        for (const { key, duration } of this._cooldownKeys(entry, ctx)) {
+            this.cooldowns.set(key, now + duration);
+        }
     }
 
     /**
-     * @param {any} prompt
+     * @param {Object} entry
+     * @param {Context} ctx
+     * @param {{reason: string}} details
      */
-    onSocketMessage(prompt) {
-        if (!prompt?.message || !prompt?.server_id) return;
-        this.checkNewCommand(prompt.message, prompt.server_id);
-        this.events.emit("message", prompt);
+    _deny(entry, ctx, details) {
+        let template = this.deniedMessage;
+        for (let node = entry; node; node = node.parent) {
+            if (node.guards.deniedMessage) {
+                template = node.guards.deniedMessage;
+                break;
+            }
+        }
+        const reply = typeof template === "function" ? template(details.reason, ctx, details) : template;
+        if (reply) ctx.reply(reply);
+        this.logger.child("command").debug(`Denied ${entry.path} -> ${ctx.owner.name} (${details.reason})`);
+        this.events.emit("commandDenied", entry.path, details.reason, ctx, details);
     }
 
     /**
-     * @param {any} message
+     * Queues a message for a server. Messages are spaced out to respect `RATE_LIMIT_MS`.
+     * @param {string} message
      * @param {string} serverId
+     * @param {{priority?: number}} [options] Higher priority messages leave the queue first.
+     * @returns {Promise<SentMessage|false>} Resolves once emitted, or to `false` if the message was dropped.
+     *   A split message is queued as one unit and resolves to its first part, with every part that was
+     *   sent in `parts`.
      */
-    async checkNewCommand(message, serverId) {
-        try {
-            if (await this.isBot(message.owner?.id)) return;
-
-            const ctx = new Context(message, serverId, this);
-            this.onMessage(ctx);
-            this.performanceMetrics.commandsProcessed++;
+    send(message, serverId, options = {}) {
+        if (!this.serverIds.includes(serverId)) {
+            const err = `Bot is not in server [${serverId}]`;
+            this.onError(err, "send");
+            this.logger.child("send").warn(err);
+            return Promise.resolve(false);
+        }
+        if (!message || typeof message !== "string") {
+            const err = "Invalid message: must be a non-empty string";
+            this.onError(err, "send");
+            this.logger.child("send").warn(err);
+            return Promise.resolve(false);
+        }
 
-            if (!message.text?.startsWith(this.prefix)) return;
+        const chunks = this.splitLongMessages && message.length > this.maxMessageLength
+            ? splitMessage(message, this.maxMessageLength)
+            : [message];
+        return this._enqueue(chunks, serverId, options);
+    }
 
-            const parts = message.text.slice(1).trim().split(" ");
-            const cmdName = parts[0].toLowerCase();
-            const arg = parts.slice(1).join(" ");
+    /**
+     * @param {string[]} chunks The parts of one message, sent one after the other
+     * @param {string} serverId
+     * @param {{priority?: number}} options
+     * @returns {Promise<SentMessage|false>}
+     */
+    _enqueue(chunks, serverId, options) {
+        return new Promise(resolve => {
+            const queue = this._getQueue(serverId);
+            const item = { chunks, sent: [], priority: options.priority || 0, resolvers: [resolve] };
 
-            const cmdFunc = commandDict.get(cmdName);
-            if (!cmdFunc) {
-                const err = `Unknown command: ${cmdName}`;
-                this.onError(err, "checkNewCommand");
-                log(chalk.red(err));
+            if (queueLength(queue) + chunks.length > this.maxQueueSize && !this._makeRoom(queue, item, serverId)) {
                 return;
             }
+            if (item.merged) return this._flushQueue(serverId);
 
-            cmdFunc.length > 1 ? cmdFunc(ctx, arg) : cmdFunc(ctx);
-            log(chalk.cyan(`[COMMAND] ${cmdName} -> ${ctx.owner.name}`));
-            this.events.emit("command", cmdName, ctx);
-        } catch (err) {
-            this.performanceMetrics.errors++;
-            this.onError(err, "checkNewCommand");
-            errorLog("checkNewCommand", err);
+            // Insert after every item of the same or higher priority to keep FIFO order within a priority,
+            // and never before a split message that is partly sent
+            const index = queue.items.findIndex(queued => queued.priority < item.priority && !queued.sent.length);
+            if (index === -1) queue.items.push(item);
+            else queue.items.splice(index, 0, item);
+            this._flushQueue(serverId);
+        });
+    }
+
+    /**
+     * @param {string} serverId
+     * @returns {{items: Object[], timer: ?NodeJS.Timeout}}
+     */
+    _getQueue(serverId) {
+        if (!this.outbox.has(serverId)) this.outbox.set(serverId, { items: [], timer: null });
+        return this.outbox.get(serverId);
+    }
+
+    /**
+     * Applies `queuePolicy` to a full queue. A split message needs room for all of its parts,
+     * otherwise it is dropped whole.
+     * @param {{items: Object[]}} queue
+     * @param {Object} item
+     * @param {string} serverId
+     * @returns {boolean} Whether `item` may still be sent
+     */
+    _makeRoom(queue, item, serverId) {
+        if (this.queuePolicy === "merge" && item.chunks.length === 1) {
+            const target = [...queue.items].reverse()
+                .find(queued => queued.priority === item.priority && queued.chunks.length === 1 && !queued.sent.length);
+            if (target && target.chunks[0].length + item.chunks[0].length + 4 <= this.maxMessageLength) {
+                target.chunks[0] = `${target.chunks[0]}<br>${item.chunks[0]}`;
+                target.resolvers.push(...item.resolvers);
+                item.merged = true;
+                return true;
+            }
+        }
+
+        let room = this.maxQueueSize - queueLength(queue);
+        const evicted = [];
+        if (this.queuePolicy !== "dropNewest") {
+            // Evict the oldest of the lowest priority messages, unless the new one ranks lower still
+            const candidates = queue.items
+                .filter(queued => queued.priority <= item.priority && !queued.sent.length)
+                .sort((a, b) => a.priority - b.priority);
+            for (const candidate of candidates) {
+                if (room >= item.chunks.length) break;
+                evicted.push(candidate);
+                room += candidate.chunks.length;
+            }
+        }
+        const admitted = room >= item.chunks.length;
+        const dropped = admitted ? evicted : [item];
+
+        for (const message of dropped) {
+            if (message !== item) queue.items.splice(queue.items.indexOf(message), 1);
+            const err = `Outbound queue full for server [${serverId}], dropped a message${message.chunks.length > 1 ? ` of ${message.chunks.length} parts` : ""}`;
+            this.onError(err, "send");
+            this.logger.child("send").warn(err);
+            this.events.emit("queueDrop", message.chunks.join(""), serverId);
+            message.resolvers.forEach(resolve => resolve(false));
         }
+        return admitted;
     }
 
     /**
-     * @param {string} message
      * @param {string} serverId
      */
-    send(message, serverId) {
-    if (!this.serverIds.includes(serverId)) {
-        const err = `Bot is not in server [${serverId}]`;
-        this.onError(err, "send");
-        log(chalk.red(err));
-        return;
+    _flushQueue(serverId) {
+        const queue = this._getQueue(serverId);
+        if (queue.timer || !queue.items.length) return;
+        // Held until the socket is back up, see ServerConnection#_onConnect
+        const state = this.connections.get(serverId)?.state;
+        if (state === "connecting" || state === "reconnecting") return;
+
+        const wait = (this.lastSent.get(serverId) || 0) + RATE_LIMIT_MS - Date.now();
+        if (wait > 0) {
+            queue.timer = setTimeout(() => {
+                queue.timer = null;
+                this._flushQueue(serverId);
+            }, wait);
+            return;
+        }
+
+        // A split message stays at the front until its last part is sent
+        const item = queue.items[0];
+        const chunk = item.chunks[item.sent.length];
+        const emitted = this._emitMessage(chunk, serverId);
+        if (emitted) item.sent.push(this._awaitEcho(new SentMessage(this, serverId, chunk)));
+        if (!emitted || item.sent.length === item.chunks.length) {
+            queue.items.shift();
+            settleQueueItem(item);
+        }
+        this._flushQueue(serverId);
     }
-    if (!message || typeof message !== "string") {
-        const err = "Invalid message: must be a non-empty string";
-        this.onError(err, "send");
-        log(chalk.red(err));
-        return;
+
+    /**
+     * @param {string} message
+     * @param {string} serverId
+     * @returns {boolean}
+     */
+    _emitMessage(message, serverId) {
+        try {
+            const payload = {
+                text: message,
+            };
+            const socket = this.sioInstances.get(serverId);
+            if (!socket) {
+                throw new Error(`No socket instance for server [${serverId}]`);
+            }
+            if (!socket.connected) {
+                throw new Error(`Not connected to server [${serverId}]`);
+            }
+            this.logger.child("send").trace(`Emitting message to [${serverId}]`, payload);
+            socket.emit("message", payload);
+            this.lastSent.set(serverId, Date.now());
+            this.performanceMetrics.messagesSent++;
+            this.logger.child("send").debug(`"${message}" -> [${serverId}]`);
+            this.events.emit("send", message, serverId);
+            return true;
+        } catch (err) {
+            this.performanceMetrics.errors++;
+            this.onError(err, "send");
+            this.logger.child("send").error(`Failed to send to [${serverId}]`, err);
+            return false;
+        }
     }
 
-    const lastSent = this.lastSent.get(serverId) || 0;
-    if (Date.now() - lastSent < RATE_LIMIT_MS) {
-        const err = `Rate limit exceeded for server [${serverId}]`;
-        this.onError(err, "send");
-        log(chalk.red(err));
-        return;
+    /**
+     * Waits for the server to echo a sent message back, which gives it an id.
+     * @param {SentMessage} handle
+     * @returns {SentMessage}
+     */
+    _awaitEcho(handle) {
+        if (!this.pendingEchoes.has(handle.serverId)) this.pendingEchoes.set(handle.serverId, []);
+        const pending = this.pendingEchoes.get(handle.serverId);
+        pending.push(handle);
+        handle.timer = setTimeout(() => {
+            pending.splice(pending.indexOf(handle), 1);
+            handle._settle(false);
+        }, this.echoTimeout);
+        handle.timer.unref?.();
+        return handle;
     }
 
-    try {
-        const payload = {
-            text: message,
-        };
-        const socket = this.sioInstances.get(serverId);
-        if (!socket) {
-            throw new Error(`No socket instance for server [${serverId}]`);
-        }
-        log(chalk.blue(`[DEBUG] Emitting message to [${serverId}]: ${JSON.stringify(payload)}`));
-        socket.emit("message", payload);
-        this.lastSent.set(serverId, Date.now());
-        this.performanceMetrics.messagesSent++;
-        log(chalk.gray(`[SEND] "${message}" -> [${serverId}]`));
-        this.events.emit("send", message, serverId);
-    } catch (err) {
-        this.performanceMetrics.errors++;
-        this.onError(err, "send");
-        errorLog(`send to [${serverId}]`, err);
+    /**
+     * Matches one of the bot's own messages, echoed by the server, to the message that was sent.
+     * Echoes arrive in the order messages were sent, so the oldest one is used when the server
+     * changed the text.
+     * @param {Message} message
+     */
+    _matchEcho(message) {
+        const pending = this.pendingEchoes.get(message.serverId);
+        if (!pending || !pending.length) return;
+        let index = pending.findIndex(handle => handle.content === message.content);
+        if (index === -1) index = pending.findIndex(handle => htmlToText(handle.content) === message.text);
+        if (index === -1) return;
+        const [handle] = pending.splice(index, 1);
+        clearTimeout(handle.timer);
+        handle.id = message.id;
+        handle.message = message;
+        handle._settle(true);
     }
+
+    /**
+     * Resolves every message queued for a server with `false`.
+     * @param {string} serverId
+     */
+    _dropQueue(serverId) {
+        const queue = this.outbox.get(serverId);
+        if (!queue) return;
+        clearTimeout(queue.timer);
+        queue.timer = null;
+        if (queue.items.length) this.logger.child("send").warn(`Dropped ${queue.items.length} queued message(s) for [${serverId}]`);
+        queue.items.forEach(settleQueueItem);
+        queue.items = [];
     }
 
+    /**
+     * @returns {number} Messages waiting in all outbound queues, counting each unsent part of a split message
+     */
+    queueSize() {
+        let size = 0;
+        for (const queue of this.outbox.values()) size += queueLength(queue);
+        return size;
+    }
 
     /**
+     * Reports failures to `onError` instead of throwing.
      * @param {string} key
      * @param {string} value
+     * @returns {Promise<boolean>} Whether the change was saved
      */
     async change(key, value) {
         if (!key || !value) {
             const err = "Key and value are required";
             this.onError(err, "change");
-            log(chalk.red(err));
-            return;
+            this.logger.warn(err);
+            return false;
         }
 
         try {
-            const payload = new URLSearchParams({ change_key: key, change_value: value });
-            const headers = {
-                "Content-Type": "application/x-www-form-urlencoded",
-                Cookie: `token=${encodeURIComponent(this.token)}; op=${encodeURIComponent(this.botId)}`
-            };
-
-            await axios.post(`https://${DOMAIN}/api/change`, payload.toString(), {
-                headers,
-                withCredentials: true
-            });
-
-            successLog(`Changed key [${key}] to [${value}]`);
-            this.events.emit("change", key, value);
+            await this.rest.post("/api/change", { change_key: key, change_value: value });
         } catch (err) {
             this.performanceMetrics.errors++;
             this.onError(err, "change");
-            errorLog("change", err);
+            this.logger.error("change", err.message);
+            return false;
         }
+        this.logger.success(`Changed key [${key}] to [${value}]`);
+        this.events.emit("change", key, value);
+        return true;
+    }
+}
+
+// Bot Manager
+/**
+ * Runs several bots in one process and starts or stops them together.
+ */
+class BotManager {
+    constructor() {
+        /** @type {Map<string, {bot: Bot, token: string, botId: string}>} */
+        this.bots = new Map();
+    }
+
+    /**
+     * @param {string} name
+     * @param {Bot} bot
+     * @param {{token: string, botId: string}} credentials
+     * @returns {Bot}
+     */
+    add(name, bot, { token, botId }) {
+        if (this.bots.has(name)) throw new Error(`A bot named '${name}' is already managed`);
+        if (!(bot instanceof Bot)) throw new Error("Invalid bot: must be a Bot instance");
+        this.bots.set(name, { bot, token, botId });
+        return bot;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Bot|null}
+     */
+    get(name) {
+        return this.bots.get(name)?.bot || null;
+    }
+
+    /**
+     * Stops a bot and removes it from the manager.
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async remove(name) {
+        const item = this.bots.get(name);
+        if (!item) return false;
+        this.bots.delete(name);
+        await item.bot.stop();
+        return true;
+    }
+
+    /**
+     * Starts every bot. One bot failing to start does not stop the others.
+     * @returns {Promise<Object<string, boolean>>} Whether each bot started
+     */
+    async startAll() {
+        const results = {};
+        await Promise.all([...this.bots].map(async ([name, { bot, token, botId }]) => {
+            try {
+                results[name] = await bot.run(token, botId);
+            } catch (err) {
+                bot.logger.error(`BotManager [${name}] failed to start`, err);
+                results[name] = false;
+            }
+        }));
+        return results;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async stopAll() {
+        await Promise.all([...this.bots.values()].map(({ bot }) => bot.stop()));
+    }
+}
+
+// Embed Builder Implementation
+const EMBED_ICONS = {
+    error:    "bx-x-circle",
+    warn:     "bx-error",
+    info:     "bx-info-circle",
+    success:  "bx-check-circle",
+    note:     "bx-note",
+    clean:    null,
+    default:  null
+};
+
+/** Maximum lengths of embed parts, in characters of source text. */
+const EMBED_LIMITS = {
+    title: 256,
+    authorName: 256,
+    fieldName: 256,
+    fieldValue: 1024,
+    fields: 25
+};
+
+class EmbedError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} [part] The embed part that failed validation, such as `title` or `color`
+     */
+    constructor(message, part) {
+        super(message);
+        this.name = "EmbedError";
+        this.part = part || null;
+    }
+}
+
+/** Trusted HTML that `EmbedBuilder` inserts without escaping. Create with `EmbedBuilder.raw()`. */
+class RawHtml {
+    /**
+     * @param {string} html
+     */
+    constructor(html) {
+        this.html = String(html);
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isEmbedUrl(url) {
+    try {
+        return ["http:", "https:"].includes(new URL(url).protocol);
+    } catch {
+        return false;
     }
 }
 
-// Embed Builder Implementation
-const EMBED_ICONS = {
-    error:    "bx-x-circle",
-    warn:     "bx-error",
-    info:     "bx-info-circle",
-    success:  "bx-check-circle",
-    note:     "bx-note",
-    clean:    null,
-    default:  null
-};
+/**
+ * @param {string} color
+ * @returns {boolean}
+ */
+function isEmbedColor(color) {
+    return /^(#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})|(?:rgba?|hsla?)\([\d\s.,%/]+\)|[a-z]+)$/i.test(color);
+}
+
+/**
+ * @typedef {Object} EmbedField
+ * @property {string|RawHtml} [name]
+ * @property {string|RawHtml} [value]
+ * @property {boolean} [inline]
+ * @property {string|null} [color]
+ * @property {string|null} [icon]
+ * @property {string} [code] Set for blocks added with `code()`
+ * @property {string} [language]
+ */
+
+/**
+ * Builds slchat embed HTML. Text is escaped unless wrapped with `EmbedBuilder.raw()`,
+ * and URLs, colors and icon classes are validated, throwing `EmbedError` when invalid.
+ */
 class EmbedBuilder {
     constructor(embedType = "default", title = "", description = "") {
-        this.embedType = embedType;
-        this.title = title;
-        this.description = description;
+        this.embedType = "default";
+        this.title = "";
+        this.description = "";
         this.attachment = "";
-        this.authorHtml = "";
-        this.fieldsHtml = [];
+        /** @type {{name: string|RawHtml, url: string}|null} */
+        this.author = null;
+        /** @type {EmbedField[]} */
+        this.fields = [];
         this.showIcon = true;
         this.customColor = null;
         this.customIcon = null;
+        this.setType(embedType).setTitle(title).setDescription(description);
+    }
+
+    /**
+     * Marks `html` as trusted so it is inserted without escaping.
+     * @param {string} html
+     * @returns {RawHtml}
+     */
+    static raw(html) {
+        return new RawHtml(html);
+    }
+
+    /**
+     * Rebuilds an embed from `toJSON()` output. The data is validated like the setters' input.
+     * @param {Object|string} json
+     * @returns {EmbedBuilder}
+     */
+    static from(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || typeof data !== "object") throw new EmbedError("Embed JSON must be an object");
+        const value = v => v && typeof v === "object" && "raw" in v ? EmbedBuilder.raw(v.raw) : v;
+
+        const embed = new EmbedBuilder(data.type || "default", value(data.title) || "", value(data.description) || "");
+        if (data.color) embed.setColor(data.color);
+        if (data.icon) embed.setIcon(data.icon);
+        if (data.showIcon === false) embed.setShowIcon(false);
+        if (data.author) embed.setAuthor(value(data.author.name), data.author.url);
+        if (data.attachment) embed.setAttachment(data.attachment);
+        for (const field of data.fields || []) {
+            if (field.code !== undefined) embed.code(field.code, field.language);
+            else embed.addField(value(field.name), value(field.value), field.inline, field.color, field.icon);
+        }
+        return embed;
+    }
+
+    /**
+     * @param {string|RawHtml} text
+     * @param {string} part
+     * @param {number} [limit]
+     * @returns {string|RawHtml}
+     */
+    _checkText(text, part, limit = Infinity) {
+        if (text === null || text === undefined) return "";
+        if (!(text instanceof RawHtml)) text = String(text);
+        if (String(text).length > limit) {
+            throw new EmbedError(`Embed ${part} is longer than ${limit} characters`, part);
+        }
+        return text;
+    }
+
+    /**
+     * @param {string|RawHtml} text
+     * @returns {string}
+     */
+    _html(text) {
+        return text instanceof RawHtml ? text.html : escapeHtml(text).replace(/\r?\n/g, "<br>");
     }
 
     setType(embedType) {
+        if (!Object.prototype.hasOwnProperty.call(EMBED_ICONS, embedType)) {
+            throw new EmbedError(`Unknown embed type "${embedType}" (expected one of: ${Object.keys(EMBED_ICONS).join(", ")})`, "type");
+        }
         this.embedType = embedType;
         return this;
     }
 
     setColor(color) {
+        if (color !== null && !isEmbedColor(String(color))) throw new EmbedError(`Invalid embed color "${color}"`, "color");
         this.customColor = color;
         return this;
     }
 
     setIcon(iconClass) {
+        if (iconClass !== null && !/^[\w-]+$/.test(String(iconClass))) throw new EmbedError(`Invalid icon class "${iconClass}"`, "icon");
         this.customIcon = iconClass;
         return this;
     }
 
     setTitle(text) {
-        this.title = text;
+        this.title = this._checkText(text, "title", EMBED_LIMITS.title);
         return this;
     }
 
     setDescription(text) {
-        this.description = text;
+        this.description = this._checkText(text, "description");
         return this;
     }
 
     setAttachment(url) {
-        this.attachment = url;
+        if (url && !isEmbedUrl(url)) throw new EmbedError(`Invalid attachment URL "${url}"`, "attachment");
+        this.attachment = url || "";
         return this;
     }
 
     setAuthor(title, url) {
-        this.authorHtml = `<div class='center gap'><img class='avatar' loading='lazy' src='${url}'>${title}</div>`;
+        if (url && !isEmbedUrl(url)) throw new EmbedError(`Invalid author URL "${url}"`, "author");
+        this.author = { name: this._checkText(title, "author name", EMBED_LIMITS.authorName), url: url || "" };
         return this;
     }
 
@@ -623,56 +5324,401 @@ class EmbedBuilder {
     }
 
     addField(name, value, inline = false, color = null, icon = null) {
-        const style = color ? ` style='color: ${color};'` : "";
-        const iconHtml = icon ? `<i class='bx ${icon}'></i>` : "";
-        const inlineHtml = inline ? " inline" : "";
-        const valueHtml = (color || icon)
-            ? `<p class='center gap'${style}>${iconHtml}${value}</p>`
-            : value;
-
-        const fieldHtml = `<div class='center gap${inlineHtml}'><strong>${name}</strong> ${valueHtml}</div>`;
-        this.fieldsHtml.push(fieldHtml);
+        if (this.fields.length >= EMBED_LIMITS.fields) throw new EmbedError(`Embeds can have at most ${EMBED_LIMITS.fields} fields`, "fields");
+        if (color && !isEmbedColor(String(color))) throw new EmbedError(`Invalid field color "${color}"`, "color");
+        if (icon && !/^[\w-]+$/.test(String(icon))) throw new EmbedError(`Invalid icon class "${icon}"`, "icon");
+        this.fields.push({
+            name: this._checkText(name, "field name", EMBED_LIMITS.fieldName),
+            value: this._checkText(value, "field value", EMBED_LIMITS.fieldValue),
+            inline: Boolean(inline),
+            color: color || null,
+            icon: icon || null
+        });
         return this;
     }
 
     code(content, language = "") {
-        const langClass = language ? `language-${language}` : "";
-        const html = `<pre><code class="${langClass}">${content}</code></pre>`;
-        this.fieldsHtml.push(html);
+        if (language && !/^[\w+#.-]+$/.test(language)) throw new EmbedError(`Invalid code language "${language}"`, "language");
+        this.fields.push({ code: String(content ?? ""), language: language || "" });
         return this;
     }
 
-    build() {
+    /**
+     * @param {{maxLength?: number}} [options] Throws `EmbedError` if the HTML is longer than `maxLength`
+     * @returns {string}
+     */
+    build(options = {}) {
         const typeClass = this.embedType !== "default" ? ` ${this.embedType}` : "";
         const iconParentClass = this.showIcon && (this.customIcon || EMBED_ICONS[this.embedType]) ? "" : " block";
-        const styleAttr = this.customColor ? ` style="--color: ${this.customColor}"` : "";
+        const styleAttr = this.customColor ? ` style="--color: ${escapeHtml(this.customColor)}"` : "";
 
         const iconClass = this.customIcon || EMBED_ICONS[this.embedType];
         const iconHtml = this.showIcon && iconClass ? `<i class='bx ${iconClass}'></i><div class='inline'>` : "";
         const iconEndHtml = this.showIcon && iconClass ? "</div>" : "";
 
-        const attachmentHtml = this.attachment ? `<img class='attachment' src='${this.attachment}'>` : "";
-        const titleHtml = this.title ? `<h4>${this.title}</h4>` : "";
-        const descriptionHtml = this.description ? `${this.description}` : "";
-        const fieldsHtml = this.fieldsHtml.length ? this.fieldsHtml.join("<br>") : "";
+        const authorHtml = this.author
+            ? `<div class='center gap'>${this.author.url ? `<img class='avatar' loading='lazy' src='${escapeHtml(this.author.url)}'>` : ""}${this._html(this.author.name)}</div>`
+            : "";
+        const attachmentHtml = this.attachment ? `<img class='attachment' src='${escapeHtml(this.attachment)}'>` : "";
+        const titleHtml = this.title ? `<h4>${this._html(this.title)}</h4>` : "";
+        const descriptionHtml = this.description ? this._html(this.description) : "";
+        const fieldsHtml = this.fields.map(field => {
+            if (field.code !== undefined) {
+                const langClass = field.language ? `language-${field.language}` : "";
+                return `<pre><code class="${langClass}">${escapeHtml(field.code)}</code></pre>`;
+            }
+            const style = field.color ? ` style='color: ${escapeHtml(field.color)};'` : "";
+            const fieldIconHtml = field.icon ? `<i class='bx ${field.icon}'></i>` : "";
+            const inlineHtml = field.inline ? " inline" : "";
+            const valueHtml = (field.color || field.icon)
+                ? `<p class='center gap'${style}>${fieldIconHtml}${this._html(field.value)}</p>`
+                : this._html(field.value);
+            return `<div class='center gap${inlineHtml}'><strong>${this._html(field.name)}</strong> ${valueHtml}</div>`;
+        }).join("<br>");
 
-        const combinedContent = [this.authorHtml, titleHtml, descriptionHtml, fieldsHtml, attachmentHtml]
+        const combinedContent = [authorHtml, titleHtml, descriptionHtml, fieldsHtml, attachmentHtml]
             .filter(Boolean)
             .join("<br>");
 
-        return `<div class='embed${iconParentClass}${typeClass}'${styleAttr}>${iconHtml}${combinedContent}${iconEndHtml}</div>`;
+        const html = `<div class='embed${iconParentClass}${typeClass}'${styleAttr}>${iconHtml}${combinedContent}${iconEndHtml}</div>`;
+        if (options.maxLength && html.length > options.maxLength) {
+            throw new EmbedError(`Embed is ${html.length} characters, over the limit of ${options.maxLength}`, "length");
+        }
+        return html;
+    }
+
+    /**
+     * Plain data for storing or comparing embeds. Values wrapped with `EmbedBuilder.raw()` become `{raw: html}`.
+     * @returns {Object}
+     */
+    toJSON() {
+        const value = v => v instanceof RawHtml ? { raw: v.html } : v;
+        return {
+            type: this.embedType,
+            title: value(this.title),
+            description: value(this.description),
+            color: this.customColor,
+            icon: this.customIcon,
+            showIcon: this.showIcon,
+            author: this.author ? { name: value(this.author.name), url: this.author.url } : null,
+            attachment: this.attachment,
+            fields: this.fields.map(field => field.code !== undefined
+                ? { code: field.code, language: field.language }
+                : { ...field, name: value(field.name), value: value(field.value) })
+        };
+    }
+}
+
+// Help Command
+/**
+ * Renders the command registry, or the details of a single command, as an embed.
+ * @param {string} prefix
+ * @param {string} [query] Command path such as `config set`
+ * @param {Map<string, Object>} [registry]
+ * @returns {string}
+ */
+function renderHelp(prefix, query = "", registry = commandEntries) {
+    const parts = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!parts.length) {
+        const categories = new Map();
+        for (const entry of registry.values()) {
+            if (entry.hidden) continue;
+            if (!categories.has(entry.category)) categories.set(entry.category, []);
+            categories.get(entry.category).push(entry.name);
+        }
+        const embed = new EmbedBuilder("info", "Commands")
+            .setDescription(`Use ${prefix}help <command> for details on a command.`);
+        for (const [category, names] of [...categories].sort(([a], [b]) => a.localeCompare(b))) {
+            embed.addField(category, EmbedBuilder.raw(names.sort().map(n => `<code>${escapeHtml(prefix + n)}</code>`).join(", ")));
+        }
+        if (!categories.size) embed.addField("General", "No commands registered.");
+        return embed.build();
+    }
+
+    let entry = findCommand(registry, parts[0]);
+    for (const part of parts.slice(1)) {
+        entry = entry && findCommand(entry.subcommands, part);
+    }
+    if (!entry) {
+        return new EmbedBuilder("error", "Unknown command", EmbedBuilder.raw(`No command named <code>${escapeHtml(prefix + query)}</code>.`)).build();
+    }
+
+    const embed = new EmbedBuilder("info", prefix + entry.path, entry.description || "No description.");
+    if (entry.func) {
+        embed.addField("Usage", EmbedBuilder.raw(`<code>${escapeHtml(entry.usage || formatUsage(entry.path, entry.schema || {}, prefix))}</code>`));
+    }
+    if (entry.aliases.length) {
+        embed.addField("Aliases", EmbedBuilder.raw(entry.aliases.map(alias => `<code>${escapeHtml(alias)}</code>`).join(", ")));
+    }
+    const subs = [...entry.subcommands.values()].filter(sub => !sub.hidden);
+    if (subs.length) {
+        const lines = subs.map(sub => `<code>${escapeHtml(prefix + sub.path)}</code>${sub.description ? ` - ${escapeHtml(sub.description)}` : ""}`);
+        embed.addField("Subcommands", EmbedBuilder.raw(lines.join("<br>")));
+    }
+    return embed.build();
+}
+
+/** Built-in `help` command, used when no command named `help` is registered. */
+const HELP_COMMAND = buildCommand("help", (ctx, params) => ctx.sendRaw(renderHelp(ctx.prefix, params.command, ctx.bot.commandRegistry())), {
+    description: "Lists commands or shows details for one command.",
+    category: "General",
+    args: [{ name: "command", rest: true, optional: true }]
+});
+
+// Message Model
+/**
+ * @typedef {Object} Attachment
+ * @property {"image"|"audio"|"video"} type
+ * @property {string} url
+ * @property {boolean} spoiler
+ */
+
+/** @constant {number} Longest excerpt of the original message in a reply quote */
+const QUOTE_EXCERPT_LENGTH = 100;
+
+/** @type {Object<string, Attachment["type"]>} */
+const MEDIA_TYPES = { img: "image", audio: "audio", video: "video" };
+
+/**
+ * Extracts mentions, links, media and code blocks from message HTML. Text inside code is not
+ * searched for mentions or links.
+ * @param {string} html
+ * @returns {{mentions: string[], links: string[], attachments: Attachment[], codeBlocks: Array<{language: string, code: string}>, quote: string|null}}
+ */
+function parseMessageHtml(html) {
+    const mentions = new Set();
+    const links = new Set();
+    const attachments = [];
+    const codeBlocks = [];
+    const media = [];
+    let code = 0;
+    let block = null;
+    let mention = 0;
+    let quote = null;
+    let quoteDepth = 0;
+    let seenContent = false;
+
+    const addLink = url => {
+        if (/^https?:\/\//i.test(url)) links.add(url);
+    };
+    const pattern = /<(\/?)([a-zA-Z][\w-]*)([^>]*)>|[^<]+|</g;
+    let match;
+    while ((match = pattern.exec(String(html || "")))) {
+        if (!match[2]) {
+            const text = decodeEntities(match[0]);
+            if (block) block.code += text;
+            if (quoteDepth) quote += text;
+            else if (text.trim()) seenContent = true;
+            if (code || mention || quoteDepth) continue;
+            for (const found of text.matchAll(/(?:^|[^\w@.\/])@([\w-]+)/g)) mentions.add(found[1]);
+            for (const found of text.matchAll(/https?:\/\/[^\s<>"']+/gi)) addLink(found[0].replace(/[.,!?;:)\]]+$/, ""));
+            continue;
+        }
+
+        const closing = Boolean(match[1]);
+        const name = match[2].toLowerCase();
+        const attr = key => htmlAttribute(match[3], key);
+        const classes = attr("class").split(/\s+/);
+
+        if (name === "code" || name === "pre") {
+            if (closing) {
+                if (!code) continue;
+                code--;
+                if (!code && block) {
+                    codeBlocks.push({ language: block.language, code: block.code.replace(/\n+$/, "") });
+                    block = null;
+                }
+            } else {
+                code++;
+                const language = (attr("class").match(/\blanguage-([\w+#.-]+)/) || [])[1] || "";
+                if (block && !block.language) block.language = language;
+                if (!block && (name === "pre" || classes.includes("multiline"))) block = { language, code: "" };
+            }
+        } else if (name === "br") {
+            if (block) block.code += "\n";
+            if (quoteDepth) quote += "\n";
+        } else if (name === "blockquote") {
+            if (closing) {
+                if (quoteDepth && !--quoteDepth) quote = quote.trim();
+            } else if (quoteDepth) {
+                quoteDepth++;
+            } else if (!seenContent && quote === null) {
+                // A quote at the very start of a message is what the message replies to
+                quoteDepth = 1;
+                quote = "";
+            }
+        } else if (name === "a") {
+            if (closing) {
+                if (mention) mention--;
+                continue;
+            }
+            const href = attr("href");
+            const userId = attr("data-user-id") || attr("data-user") || (href.match(/\/user\/([\w-]+)/) || [])[1];
+            if (userId || classes.includes("mention")) {
+                mention++;
+                if (userId) mentions.add(userId);
+            } else {
+                addLink(href);
+            }
+        } else if (name === "span" && !closing && (classes.includes("mention") || attr("data-user-id"))) {
+            const userId = attr("data-user-id") || attr("data-user");
+            if (userId) mentions.add(userId);
+        } else if (MEDIA_TYPES[name] || name === "source") {
+            if (closing) {
+                if (name !== "img") media.pop();
+                continue;
+            }
+            if (!quoteDepth) seenContent = true;
+            const type = MEDIA_TYPES[name] || media[media.length - 1]?.type;
+            if (name !== "img" && name !== "source") media.push({ type, spoiler: classes.includes("spoiler") });
+            const src = attr("src");
+            if (!type || !src || classes.includes("avatar")) continue;
+            const spoiler = classes.includes("spoiler") || Boolean(name === "source" && media[media.length - 1]?.spoiler);
+            attachments.push({ type, url: src, spoiler });
+        }
+    }
+
+    return { mentions: [...mentions], links: [...links], attachments, codeBlocks, quote: quote === null ? null : quote.trim() };
+}
+
+/**
+ * An incoming message. HTML content is parsed on first use of `mentions`, `links`,
+ * `attachments`, `codeBlocks` or `quote`.
+ */
+class Message {
+    /**
+     * @param {Object} data Raw message payload from the socket
+     * @param {string} serverId
+     * @param {Bot} bot
+     */
+    constructor(data, serverId, bot) {
+        this.raw = data || {};
+        this.id = this.raw.id !== undefined && this.raw.id !== null ? String(this.raw.id) : null;
+        this.content = this.raw.text || "";
+        this.serverId = String(serverId || "");
+        this.serverName = this.raw.server_name || "Unknown";
+        this.date = this.raw.date ? new Date(this.raw.date) : new Date();
+        /** @type {{id: string, name: string, username?: string}} The author as sent with the message */
+        this.author = { ...(this.raw.owner || {}) };
+        this.author.id = this.author.id !== undefined ? String(this.author.id) : "";
+        this.bot = bot;
+        this._parsed = null;
+        this._text = null;
+        this._authorData = null;
+    }
+
+    _parse() {
+        if (!this._parsed) this._parsed = parseMessageHtml(this.content);
+        return this._parsed;
+    }
+
+    /** @returns {string} */
+    get text() {
+        if (this._text === null) this._text = htmlToText(this.content);
+        return this._text;
+    }
+
+    /** @returns {string[]} Ids of mentioned users, in order of appearance */
+    get mentions() {
+        return this._parse().mentions;
+    }
+
+    /** @returns {string[]} */
+    get links() {
+        return this._parse().links;
+    }
+
+    /** @returns {Attachment[]} */
+    get attachments() {
+        return this._parse().attachments;
+    }
+
+    /** @returns {Array<{language: string, code: string}>} */
+    get codeBlocks() {
+        return this._parse().codeBlocks;
+    }
+
+    /** @returns {string|null} Text of the quote the message starts with, if it is a reply */
+    get quote() {
+        return this._parse().quote;
+    }
+
+    /**
+     * @param {string} [user] User id or name; defaults to the bot's id, username and name
+     * @returns {boolean}
+     */
+    isMentioned(user) {
+        const names = user !== undefined
+            ? [user]
+            : [this.bot?.botId, this.bot?.user?.username, this.bot?.user?.name];
+        const wanted = names.filter(Boolean).map(name => String(name).toLowerCase());
+        return this.mentions.some(id => wanted.includes(id.toLowerCase()));
+    }
+
+    /**
+     * Fetches the author's full user data once and caches it on the message.
+     * @returns {Promise<Object|null>}
+     */
+    async fetchAuthor() {
+        if (!this._authorData && this.author.id) this._authorData = await this.bot.getUser(this.author.id);
+        return this._authorData || null;
+    }
+
+    /**
+     * @returns {Promise<Array<Object|null>>} User data for each mention, `null` for unknown users
+     */
+    fetchMentions() {
+        return Promise.all(this.mentions.map(id => this.bot.getUser(id)));
     }
 }
 
+/**
+ * A message the bot sent, returned by `Bot.send` and `Context.send`. The server assigns the id,
+ * which is filled in when it echoes the message back.
+ */
+class SentMessage {
+    /**
+     * @param {Bot} bot
+     * @param {string} serverId
+     * @param {string} content The HTML that was sent
+     */
+    constructor(bot, serverId, content) {
+        this.bot = bot;
+        this.serverId = serverId;
+        this.content = content;
+        /** @type {?string} */
+        this.id = null;
+        /** @type {?Message} The echo from the server */
+        this.message = null;
+        /** @type {SentMessage[]} Every part of a message that was split, starting with this one */
+        this.parts = [this];
+        /** @type {?NodeJS.Timeout} */
+        this.timer = null;
+        this._echoed = new Promise(resolve => {
+            this._settle = resolve;
+        });
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether the server echoed the message back within `echoTimeout`,
+     *   so its id is known
+     */
+    ready() {
+        return this._echoed;
+    }
+}
 
 // Context Implementation
 class Context {
     /**
-     * @param {Object} message
+     * @param {Message|Object} message A `Message`, or a raw message payload
      * @param {string} serverId
      * @param {Bot} bot
      */
     constructor(message, serverId, bot) {
+        /** @type {Message} */
+        this.message = message instanceof Message ? message : new Message(message, serverId, bot);
+        message = this.message.raw;
         this.content = message.text || "";
         this.owner = message.owner || {};
         this.owner.name = this.owner.name || this.owner.username || this.owner.id || this.owner.nickname || "Unknown";
@@ -682,6 +5728,19 @@ class Context {
         this.serverName = message.server_name || "Unknown";
         this.bot = bot;
         this.fullMessage = new WeakRef(message);
+        /** @type {string[]} */
+        this.args = [];
+        /** @type {Object<string, any>} */
+        this.params = {};
+        /** @type {Object|null} */
+        this.command = null;
+        /** @type {string|null} */
+        this.commandName = null;
+        /** @type {string|null} The prefix the command was called with; the bot's main prefix when called by mention */
+        this.prefix = null;
+        this.rawArgs = "";
+        /** Free-form data shared between middleware and commands */
+        this.state = {};
         this.server = null;
         this._fetchServer();
     }
@@ -691,39 +5750,374 @@ class Context {
      */
     async _fetchServer() {
         try {
-            const data = await this.bot.getJsonCache(`https://${DOMAIN}/api/server/${this.serverId}/`);
-            this.server = data || null;
+            this.server = await this.bot.getServer(this.serverId);
         } catch (err) {
             this.server = null;
-            errorLog("Context:_fetchServer", err);
+            this.bot.logger.child("context").error("Failed to fetch server", err);
             this.bot.onError(err, "Context:_fetchServer");
         }
     }
 
     /**
+     * The message as plain text, with tags removed and entities decoded.
+     * @returns {string}
+     */
+    get text() {
+        return this.message.text;
+    }
+
+    /**
+     * Ids of the users mentioned in the message.
+     * @returns {string[]}
+     */
+    get mentions() {
+        return this.message.mentions;
+    }
+
+    /**
+     * @returns {Array<{type: "image"|"audio"|"video", url: string, spoiler: boolean}>}
+     */
+    get attachments() {
+        return this.message.attachments;
+    }
+
+    /**
+     * Stored data for this server.
+     * @returns {StoreNamespace}
+     */
+    get serverData() {
+        return this.bot.store.server(this.serverId);
+    }
+
+    /**
+     * Stored data for the message's author, shared across servers.
+     * @returns {StoreNamespace}
+     */
+    get userData() {
+        return this.bot.store.user(this.owner.id);
+    }
+
+    /**
+     * Stored data for the message's author in this server.
+     * @returns {StoreNamespace}
+     */
+    get memberData() {
+        return this.bot.store.member(this.serverId, this.owner.id);
+    }
+
+    /**
+     * @param {string} [user] User id or name; defaults to the bot
+     * @returns {boolean}
+     */
+    isMentioned(user) {
+        return this.message.isMentioned(user);
+    }
+
+    /**
+     * Fetches the full user data of the message's author.
+     * @returns {Promise<Object|null>}
+     */
+    fetchAuthor() {
+        return this.message.fetchAuthor();
+    }
+
+    /**
+     * The message converted from HTML to Markdown.
+     * @returns {string}
+     */
+    get markdown() {
+        return htmlToMarkdown(this.content);
+    }
+
+    /**
+     * @param {string} msg
+     * @param {{priority?: number, markdown?: boolean}} [options] `markdown` overrides the bot's `markdown` option
+     * @returns {Promise<SentMessage|false>}
+     */
+    send(msg, options = {}) {
+        if (!msg) return Promise.resolve(false);
+        const { markdown = this.bot.markdown, ...sendOptions } = options;
+        const formatted = formatMessage(msg, this.bot.splitLongMessages ? Infinity : this.bot.maxMessageLength, { markdown });
+        return this.bot.send(formatted, this.serverId, sendOptions);
+    }
+
+    /**
+     * Replies to the message, starting with a quote of it unless `quote` is `false`. When long
+     * messages are not split, the quoted excerpt is shortened to fit, and the quote is left out
+     * only if the reply fills the message on its own.
      * @param {string} msg
+     * @param {{priority?: number, markdown?: boolean, quote?: boolean}} [options] `quote` overrides the bot's `quoteReplies` option
+     * @returns {Promise<SentMessage|false>}
+     */
+    reply(msg, options = {}) {
+        const { quote = this.bot.quoteReplies, ...sendOptions } = options;
+        if (!quote || !msg) return this.send(msg, sendOptions);
+
+        const { markdown = this.bot.markdown, ...rest } = sendOptions;
+        const bot = this.bot;
+        const formatted = formatMessage(msg, bot.splitLongMessages ? Infinity : bot.maxMessageLength, { markdown });
+        if (bot.splitLongMessages) return bot.send(this.quoteHtml() + formatted, this.serverId, rest);
+
+        const fits = length => this.quoteHtml(length).length + formatted.length <= bot.maxMessageLength;
+        let length = QUOTE_EXCERPT_LENGTH;
+        if (!fits(length)) {
+            // Escaping makes the HTML longer than the text by a varying amount, so search for the
+            // longest excerpt that fits. 0 means not even a bare `…` does.
+            let low = 0;
+            let high = length;
+            while (high - low > 1) {
+                const mid = Math.floor((low + high) / 2);
+                if (fits(mid)) low = mid;
+                else high = mid;
+            }
+            length = low;
+        }
+        const quoted = length ? this.quoteHtml(length) : "";
+        return bot.send(quoted + formatted, this.serverId, rest);
+    }
+
+    /**
+     * The quote `reply()` starts with: the author's name and the start of their message.
+     * @param {number} [length] Most characters of the message to quote, including the `…` that marks a cut
+     * @returns {string}
      */
-    send(msg) {
-        if (!msg) return;
-        const formatted = formatMessage(msg, this.bot.maxMessageLength);
-        this.bot.send(formatted, this.serverId);
+    quoteHtml(length = QUOTE_EXCERPT_LENGTH) {
+        // Leave out the quote of a message that is itself a reply
+        const text = htmlToText(this.content.replace(/^\s*<blockquote\b[\s\S]*?<\/blockquote>/i, "")).replace(/\s+/g, " ").trim();
+        const excerpt = text.length > length ? `${text.slice(0, length - 1)}…` : text;
+        return `<blockquote><strong>${escapeHtml(this.owner.name)}</strong>: ${escapeHtml(excerpt)}</blockquote>`;
     }
 
     /**
      * @param {string} msg
+     * @param {{priority?: number}} [options]
+     * @returns {Promise<SentMessage|false>}
+     */
+    sendRaw(msg, options) {
+        if (!msg) return Promise.resolve(false);
+        return this.bot.send(msg, this.serverId, options);
+    }
+
+    /**
+     * Sends an `EmbedBuilder` embed. Throws `EmbedError` if it is longer than `maxMessageLength`.
+     * @param {EmbedBuilder} embed
+     * @param {{priority?: number}} [options]
+     * @returns {Promise<SentMessage|false>}
      */
-    reply(msg) {
-        this.send(msg);
+    sendEmbed(embed, options) {
+        return this.sendRaw(embed.build({ maxLength: this.bot.maxMessageLength }), options);
     }
 
-    sendRaw(msg) {
-        if (!msg) return;
-        this.bot.send(msg, this.serverId);
+    /**
+     * Waits for the next message from the same user in the same server.
+     * @param {CollectorOptions} [options]
+     * @returns {Promise<Context|null>}
+     */
+    awaitMessage(options = {}) {
+        return this.bot.awaitMessage({ serverId: this.serverId, userId: this.owner.id, ...options });
+    }
+
+    /**
+     * Sends `question` and waits for the user's answer.
+     * @param {string} question
+     * @param {CollectorOptions} [options]
+     * @returns {Promise<Context|null>}
+     */
+    async prompt(question, options) {
+        await this.reply(question);
+        return this.awaitMessage(options);
+    }
+
+    /**
+     * Runs a multi-step conversation with the user.
+     * @param {DialogStep[]} steps
+     * @param {DialogOptions} [options]
+     * @returns {Promise<Object<string, any>|null>} Answers by step key, or `null` if cancelled or timed out
+     */
+    dialog(steps, options) {
+        return new Dialog(this, steps, options).run();
     }
 
     log() {
-        log(`[CTX] ${this.owner.nickname}: ${this.content}`);
+        this.bot.logger.child("context").info(`${this.owner.nickname}: ${this.content}`);
+    }
+}
+
+// Message Collectors
+/**
+ * @typedef {Object} CollectorOptions
+ * @property {string} [serverId] Only collect messages from this server
+ * @property {string} [userId] Only collect messages from this user
+ * @property {(ctx: Context) => boolean} [filter]
+ * @property {number} [timeout] Stop after this many ms
+ * @property {number} [idle] Stop when no message was collected for this many ms
+ * @property {number} [max] Stop after collecting this many messages
+ */
+
+class MessageCollector extends EventEmitter {
+    /**
+     * @param {Bot} bot
+     * @param {CollectorOptions} [options]
+     */
+    constructor(bot, options = {}) {
+        super();
+        this.bot = bot;
+        this.serverId = options.serverId ? String(options.serverId) : null;
+        this.userId = options.userId ? String(options.userId) : null;
+        this.filter = options.filter || (() => true);
+        this.max = options.max || Infinity;
+        this.idle = options.idle || 0;
+        /** @type {Context[]} */
+        this.collected = [];
+        this.ended = false;
+        this.timer = options.timeout ? setTimeout(() => this.stop("timeout"), options.timeout) : null;
+        this.idleTimer = this.idle ? setTimeout(() => this.stop("idle"), this.idle) : null;
+        bot.collectors.add(this);
+    }
+
+    /**
+     * @param {Context} ctx
+     * @returns {boolean} Whether the message was collected
+     */
+    handle(ctx) {
+        if (this.ended) return false;
+        if (this.serverId && String(ctx.serverId) !== this.serverId) return false;
+        if (this.userId && String(ctx.owner.id) !== this.userId) return false;
+        if (!this.filter(ctx)) return false;
+
+        this.collected.push(ctx);
+        this.emit("collect", ctx);
+        if (this.idle) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = setTimeout(() => this.stop("idle"), this.idle);
+        }
+        if (this.collected.length >= this.max) this.stop("limit");
+        return true;
+    }
+
+    /**
+     * @param {string} [reason="user"]
+     */
+    stop(reason = "user") {
+        if (this.ended) return;
+        this.ended = true;
+        clearTimeout(this.timer);
+        clearTimeout(this.idleTimer);
+        this.bot.collectors.delete(this);
+        this.emit("end", this.collected, reason);
+    }
+}
+
+// Conversation Implementation
+/**
+ * @typedef {Object} DialogStep
+ * @property {string} key Name of the answer in the result
+ * @property {string} prompt Question sent to the user
+ * @property {string} [type] Any `ARG_TYPES` key; the answer is converted with it
+ * @property {any[]} [choices] For the `enum` type
+ * @property {(value: any, ctx: Context) => true|string} [validate] Return an error message to ask again
+ * @property {(answers: Object) => boolean} [when] Skip the step when this returns false
+ */
+
+/**
+ * @typedef {Object} DialogOptions
+ * @property {number} [timeout=60000] Time allowed for each answer
+ * @property {string[]} [cancelWords=["cancel"]]
+ * @property {number} [retries=2] Extra attempts for an invalid answer
+ * @property {string} [timeoutMessage]
+ * @property {string} [cancelMessage]
+ */
+
+class Dialog {
+    /**
+     * @param {Context} ctx
+     * @param {DialogStep[]} steps
+     * @param {DialogOptions} [options]
+     */
+    constructor(ctx, steps, options = {}) {
+        if (!Array.isArray(steps) || !steps.every(step => step && step.key && step.prompt)) {
+            throw new Error("Invalid dialog: every step needs a key and a prompt");
+        }
+        this.ctx = ctx;
+        this.steps = steps;
+        this.timeout = options.timeout || 60000;
+        this.cancelWords = (options.cancelWords || ["cancel"]).map(word => word.toLowerCase());
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.timeoutMessage = options.timeoutMessage !== undefined ? options.timeoutMessage : "embed:warn:No answer received, cancelled.";
+        this.cancelMessage = options.cancelMessage !== undefined ? options.cancelMessage : "embed:info:Cancelled.";
+        this.cancelled = false;
+        /** @type {?MessageCollector} */
+        this.collector = null;
+    }
+
+    /**
+     * @returns {Promise<Object<string, any>|null>}
+     */
+    async run() {
+        const answers = {};
+        for (const step of this.steps) {
+            if (step.when && !step.when(answers)) continue;
+
+            let value;
+            let question = step.prompt;
+            for (let attempt = 0; ; attempt++) {
+                await this.ctx.send(question);
+                const answer = await this._next();
+                if (!answer) {
+                    if (!this.cancelled && this.timeoutMessage) this.ctx.send(this.timeoutMessage);
+                    return null;
+                }
+                const text = answer.content.trim();
+                if (this.cancelWords.includes(text.toLowerCase())) {
+                    this.cancelled = true;
+                    if (this.cancelMessage) this.ctx.send(this.cancelMessage);
+                    return null;
+                }
+
+                let error = null;
+                try {
+                    value = step.type ? convertArg(text, { ...step, name: step.key }, step.key) : text;
+                    const valid = step.validate ? step.validate(value, answer) : true;
+                    if (valid !== true) error = typeof valid === "string" ? valid : "Invalid answer.";
+                } catch (err) {
+                    if (!(err instanceof ArgumentError)) throw err;
+                    error = err.message;
+                }
+                if (!error) break;
+                if (attempt >= this.retries) {
+                    this.ctx.send(`embed:error:${escapeHtml(error)}`);
+                    return null;
+                }
+                question = `embed:warn:${escapeHtml(error)}\n${step.prompt}`;
+            }
+            answers[step.key] = value;
+        }
+        return answers;
+    }
+
+    /**
+     * Ends the dialog; the pending `run()` resolves with `null`.
+     */
+    cancel() {
+        this.cancelled = true;
+        if (this.collector) this.collector.stop("cancel");
+    }
+
+    /**
+     * @returns {Promise<Context|null>}
+     */
+    _next() {
+        if (this.cancelled) return Promise.resolve(null);
+        this.collector = this.ctx.bot.createCollector({
+            serverId: this.ctx.serverId,
+            userId: this.ctx.owner.id,
+            timeout: this.timeout,
+            max: 1
+        });
+        return new Promise(resolve => {
+            this.collector.once("end", collected => resolve(collected[0] || null));
+        });
     }
 }
 
-module.exports = { Bot, Context, command, log, errorLog, successLog, infoLog, formatMessage, EmbedBuilder, EMBED_TYPES, DOMAIN, RATE_LIMIT_MS, CACHE_TTL_MS, commandDict, FORMAT_SHORTCUTS };
\ No newline at end of file
+module.exports = { Bot, Context, Message, SentMessage, command, log, errorLog, successLog, infoLog, Logger, ConsoleTransport, FileTransport, LOG_LEVELS, defaultLogger, formatMessage, renderMarkdown, htmlToText, htmlToMarkdown, parseMessageHtml, EmbedBuilder, EmbedError, EMBED_TYPES, DOMAIN, RATE_LIMIT_MS, CACHE_TTL_MS, commandDict, commandEntries, FORMAT_SHORTCUTS, ArgumentError, ARG_TYPES, tokenize, parseArgs, formatUsage, escapeHtml, findCommand, suggestCommand, renderHelp, composeMiddleware, splitMessage, MessageCollector, Dialog, RestClient, HTTPError, RateLimitError, AuthError, MemoryCache, FileCache, ResourceCache, Store, StoreNamespace, MemoryStore, FileStore, BotManager, Scheduler, ScheduledJob, parseCron, nextCronDate, Moderator, MetricsRegistry, ServerConnection };
\ No newline at end of file
@@ -0,0 +1,337 @@
+const http = require("http");
+const EventEmitter = require("events");
+const { Bot } = require("./index.js");
+
+/**
+ * @returns {Function}
+ */
+function loadSocketServer() {
+    try {
+        return require("socket.io").Server;
+    } catch {
+        throw new Error("The mock server needs the 'socket.io' package: npm install --save-dev socket.io");
+    }
+}
+
+/**
+ * @param {string} header
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header = "") {
+    const cookies = {};
+    for (const part of header.split(";")) {
+        const eq = part.indexOf("=");
+        if (eq === -1) continue;
+        cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    }
+    return cookies;
+}
+
+// Mock Server Implementation
+class MockServer extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.token] Reject REST calls and sockets that do not send this token
+     * @param {boolean} [options.echo=true] Broadcast messages sent by bots back to the server, like slchat does
+     * @param {number} [options.pingInterval] Engine.IO heartbeat interval in ms, lower it to test latency tracking
+     */
+    constructor(options = {}) {
+        super();
+        this.token = options.token || null;
+        this.echo = options.echo !== false;
+        this.pingInterval = options.pingInterval;
+        /** @type {Map<string, Object>} */
+        this.users = new Map();
+        /** @type {Map<string, Object>} */
+        this.servers = new Map();
+        /** @type {Array<{id: string, serverId: string, text: string, botId: string, date: string}>} */
+        this.sent = [];
+        /** @type {Array<{botId: string, key: string, value: string}>} */
+        this.changes = [];
+        /** @type {Array<{method: string, path: string}>} */
+        this.requests = [];
+        this.baseUrl = "";
+        this.nextId = 1;
+        this.httpServer = null;
+        this.io = null;
+    }
+
+    /**
+     * @param {number} [port=0] `0` picks a free port
+     * @returns {Promise<string>} Base URL to pass to `new Bot({ baseUrl })`
+     */
+    async start(port = 0) {
+        const SocketServer = loadSocketServer();
+        this.httpServer = http.createServer((req, res) => this._handleRequest(req, res));
+        this.io = new SocketServer(this.httpServer, { cors: { origin: "*" }, ...(this.pingInterval ? { pingInterval: this.pingInterval } : {}) });
+        this.io.on("connection", socket => this._handleSocket(socket));
+
+        await new Promise((resolve, reject) => {
+            this.httpServer.once("error", reject);
+            this.httpServer.listen(port, "127.0.0.1", resolve);
+        });
+        this.baseUrl = `http://127.0.0.1:${this.httpServer.address().port}`;
+        return this.baseUrl;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.httpServer) return;
+        // A socket still on long-polling would otherwise wait 30s for a poll that never comes
+        for (const client of Object.values(this.io.engine.clients)) client.close(true);
+        this.io.disconnectSockets(true);
+        const closed = new Promise(resolve => this.io.close(() => resolve()));
+        // Keep-alive REST connections would otherwise hold the server open
+        this.httpServer.closeAllConnections?.();
+        await closed;
+        this.httpServer = null;
+        this.io = null;
+    }
+
+    /**
+     * @param {{id?: string, name?: string, bot?: boolean, servers?: string[]}} [data]
+     * @returns {Object}
+     */
+    addUser(data = {}) {
+        const id = String(data.id || `user${this.nextId++}`);
+        const user = {
+            id,
+            name: data.name || id,
+            username: data.username || data.name || id,
+            label: data.bot ? { name: "BOT" } : null,
+            servers: (data.servers || []).map(String)
+        };
+        this.users.set(id, user);
+        for (const serverId of user.servers) {
+            if (!this.servers.has(serverId)) this.addServer({ id: serverId });
+        }
+        return user;
+    }
+
+    /**
+     * @param {{id?: string, name?: string, owner?: string}} [data]
+     * @returns {Object}
+     */
+    addServer(data = {}) {
+        const id = String(data.id || `server${this.nextId++}`);
+        const server = { id, name: data.name || id, owner: data.owner ? { id: String(data.owner) } : null };
+        this.servers.set(id, server);
+        return server;
+    }
+
+    /**
+     * Emits an event to every socket connected to a server.
+     * @param {string} serverId
+     * @param {Object} payload
+     * @param {"message"|"prompt"} [event="message"]
+     */
+    push(serverId, payload, event = "message") {
+        this.io.to(String(serverId)).emit(event, payload);
+    }
+
+    /**
+     * Pushes a message as if `user` had typed it in `serverId`.
+     * @param {string} serverId
+     * @param {string} text
+     * @param {{id?: string, name?: string}} [user]
+     * @returns {Object} The pushed payload
+     */
+    simulateMessage(serverId, text, user = {}) {
+        const owner = this.users.get(String(user.id)) || this.addUser({ id: user.id || "tester", name: user.name || "Tester" });
+        const server = this.servers.get(String(serverId));
+        const payload = {
+            server_id: String(serverId),
+            message: {
+                id: String(this.nextId++),
+                text,
+                owner: { id: owner.id, name: owner.name, username: owner.username },
+                server_name: server ? server.name : String(serverId),
+                date: new Date().toISOString()
+            }
+        };
+        this.push(serverId, payload, "message");
+        return payload;
+    }
+
+    /**
+     * Resolves with the next `count` messages bots send to `serverId`.
+     * @param {string} serverId
+     * @param {{count?: number, timeout?: number}} [options]
+     * @returns {Promise<string[]>}
+     */
+    waitForMessages(serverId, { count = 1, timeout = 3000 } = {}) {
+        return new Promise((resolve, reject) => {
+            const received = [];
+            const onMessage = message => {
+                if (message.serverId !== String(serverId)) return;
+                received.push(message.text);
+                if (received.length < count) return;
+                cleanup();
+                resolve(received);
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Timed out after ${timeout}ms waiting for ${count} message(s) in [${serverId}], got ${received.length}`));
+            }, timeout);
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.off("botMessage", onMessage);
+            };
+            this.on("botMessage", onMessage);
+        });
+    }
+
+    /**
+     * @param {string} [token]
+     * @returns {boolean}
+     */
+    _authorized(token) {
+        return !this.token || token === this.token;
+    }
+
+    /**
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    _handleRequest(req, res) {
+        const url = new URL(req.url, this.baseUrl || "http://127.0.0.1");
+        // socket.io handles its own path
+        if (url.pathname.startsWith("/socket.io/")) return;
+
+        const cookies = parseCookies(req.headers.cookie);
+        this.requests.push({ method: req.method, path: url.pathname });
+        const reply = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+
+        if (!this._authorized(cookies.token)) return reply(401, { error: "Unauthorized" });
+
+        let match;
+        if (req.method === "GET" && (match = url.pathname.match(/^\/api\/user\/([^/]+)\/?$/))) {
+            const user = this.users.get(decodeURIComponent(match[1]));
+            if (!user) return reply(404, { error: "User not found" });
+            const servers = user.servers.map(id => this.servers.get(id)).filter(Boolean);
+            return reply(200, { ...user, servers });
+        }
+        if (req.method === "GET" && (match = url.pathname.match(/^\/api\/server\/([^/]+)\/?$/))) {
+            const server = this.servers.get(decodeURIComponent(match[1]));
+            return server ? reply(200, server) : reply(404, { error: "Server not found" });
+        }
+        if (req.method === "POST" && url.pathname.replace(/\/$/, "") === "/api/change") {
+            let body = "";
+            req.on("data", chunk => { body += chunk; });
+            req.on("end", () => {
+                const params = new URLSearchParams(body);
+                const change = { botId: cookies.op, key: params.get("change_key"), value: params.get("change_value") };
+                if (!change.key) return reply(400, { error: "change_key is required" });
+                this.changes.push(change);
+                const user = this.users.get(change.botId);
+                if (user) user[change.key] = change.value;
+                this.emit("change", change);
+                reply(200, { success: true });
+            });
+            return;
+        }
+        reply(404, { error: "Not found" });
+    }
+
+    /**
+     * @param {import("socket.io").Socket} socket
+     */
+    _handleSocket(socket) {
+        const cookies = parseCookies(socket.handshake.headers.cookie);
+        const serverId = String(socket.handshake.query.server || "");
+        if (!this._authorized(cookies.token) || !this.servers.has(serverId)) {
+            socket.disconnect(true);
+            return;
+        }
+        socket.join(serverId);
+        this.emit("connection", serverId, cookies.op);
+
+        socket.on("message", data => {
+            const message = {
+                id: String(this.nextId++),
+                serverId,
+                text: data?.text,
+                botId: cookies.op,
+                date: new Date().toISOString()
+            };
+            this.sent.push(message);
+            this.emit("botMessage", message);
+            if (!this.echo) return;
+            const owner = this.users.get(cookies.op) || { id: cookies.op, name: cookies.op };
+            const echo = { id: message.id, text: message.text, owner: { id: owner.id, name: owner.name }, date: message.date };
+            this.push(serverId, { server_id: serverId, message: echo });
+        });
+    }
+}
+
+// Test Harness
+/**
+ * Starts a mock server and a bot connected to it. Register the bot's commands with `command()`
+ * beforehand, or with `bot.command()` on the returned bot.
+ * @param {Object} [options] Bot options, plus:
+ * @param {string[]} [options.servers=["test-server"]] Servers the bot is a member of
+ * @param {Object} [options.mock] Options for `MockServer`
+ * @param {number} [options.connectTimeout=5000] Reject if the sockets are not all connected within this many ms
+ * @returns {Promise<{bot: Bot, server: MockServer, say: Function, stop: Function}>}
+ */
+async function createTestBot(options = {}) {
+    const { servers = ["test-server"], mock, connectTimeout = 5000, ...botOptions } = options;
+    const server = new MockServer(mock);
+    const baseUrl = await server.start();
+    const token = server.token || "test-token";
+    const botUser = server.addUser({ id: "test-bot", name: "TestBot", bot: true, servers });
+
+    const bot = new Bot({ onError: () => {}, cli: false, handleSignals: false, ...botOptions, baseUrl });
+    let onConnect;
+    let timer;
+    const connected = new Promise((resolve, reject) => {
+        let count = 0;
+        onConnect = () => {
+            if (++count === servers.length) resolve();
+        };
+        bot.events.on("connect", onConnect);
+        timer = setTimeout(() => {
+            reject(new Error(`Test bot connected to ${count} of ${servers.length} server(s) within ${connectTimeout}ms`));
+        }, connectTimeout);
+    });
+    connected.catch(() => {});
+
+    try {
+        if (!await bot.run(token, botUser.id)) throw new Error("Test bot failed to start, see onError");
+        if (servers.length) await connected;
+    } catch (err) {
+        await bot.stop();
+        await server.stop();
+        throw err;
+    } finally {
+        clearTimeout(timer);
+        bot.events.off("connect", onConnect);
+    }
+
+    return {
+        bot,
+        server,
+        /**
+         * Sends `text` as a user and resolves with the bot's replies.
+         * @param {string} text
+         * @param {{serverId?: string, user?: Object, count?: number, timeout?: number}} [opts]
+         * @returns {Promise<string[]>}
+         */
+        say(text, { serverId = servers[0], user, count = 1, timeout = 3000 } = {}) {
+            const replies = server.waitForMessages(serverId, { count, timeout });
+            server.simulateMessage(serverId, text, user);
+            return replies;
+        },
+        async stop() {
+            await bot.stop();
+            await server.stop();
+        }
+    };
+}
+
+module.exports = { MockServer, createTestBot };
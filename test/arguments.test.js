@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseArgs, tokenize, ArgumentError } = require("../index.js");
+const { createTestBot } = require("../mock.js");
+
+test("tokenize keeps quoted strings together and apostrophes inside words", () => {
+    assert.deepEqual(tokenize(`ban @bob "spamming links" 'two words' don't`), ["ban", "@bob", "spamming links", "two words", "don't"]);
+    assert.deepEqual(tokenize(`say "never closed`), ["say", `"never`, "closed"]);
+});
+
+test("parseArgs converts types, applies defaults and reads flags", () => {
+    const schema = {
+        args: [
+            { name: "count", type: "int", min: 1 },
+            { name: "mode", type: "enum", choices: ["low", "high"], default: "low" },
+            { name: "reason", rest: true, optional: true }
+        ],
+        flags: [{ name: "silent", alias: "s" }, { name: "level", type: "int" }]
+    };
+    assert.deepEqual(
+        { ...parseArgs(`3 high "too many" links -s --level=2`, schema) },
+        { count: 3, mode: "high", reason: "too many links", silent: true, level: 2 }
+    );
+    assert.equal(parseArgs("5", schema).mode, "low");
+    assert.throws(() => parseArgs("0", schema), ArgumentError);
+    assert.throws(() => parseArgs("3 medium", schema), ArgumentError);
+    assert.throws(() => parseArgs("", schema), ArgumentError);
+    assert.throws(() => parseArgs(`3 high "unclosed reason`, schema), /Missing closing "/);
+});
+
+test("a command receives parsed arguments, and bad input gets the usage line", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    harness.bot.command("add", (ctx, { a, b }) => ctx.reply(String(a + b)), {
+        args: [{ name: "a", type: "int" }, { name: "b", type: "int" }]
+    });
+    harness.bot.command("say", (ctx, { text }) => ctx.reply(text), { args: [{ name: "text", rest: true }] });
+
+    assert.deepEqual(await harness.say("!add 2 40"), ["42"]);
+    const [error] = await harness.say("!add 2 x");
+    assert.match(error, /Invalid value for &lt;b&gt;: expected a valid int, got "x"/);
+    assert.match(error, /Usage: !add &lt;a&gt; &lt;b&gt;/);
+
+    const [unclosed] = await harness.say(`!say "hello there`);
+    assert.match(unclosed, /Missing closing "/);
+    assert.match(unclosed, /Usage: !say/);
+});
@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MemoryCache } = require("../index.js");
+const { createTestBot } = require("../mock.js");
+
+test("the memory cache evicts the least recently used entry", () => {
+    const cache = new MemoryCache({ maxSize: 2 });
+    cache.set("a", 1, 60000);
+    cache.set("b", 2, 60000);
+    cache.get("a");
+    cache.set("c", 3, 60000);
+    assert.deepEqual([cache.get("a"), cache.get("b"), cache.get("c")], [1, undefined, 3]);
+
+    cache.set("short", 4, -1);
+    assert.equal(cache.get("short"), undefined);
+});
+
+test("users are cached until they expire or are invalidated", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", cacheTTL: { user: 300 } });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+    server.addUser({ id: "alice", name: "Alice" });
+    const fetches = () => server.requests.filter(request => request.path === "/api/user/alice/").length;
+
+    await bot.getUser("alice");
+    await bot.getUser("alice");
+    assert.equal(fetches(), 1);
+    assert.ok(bot.cache.stats().hits >= 1);
+
+    bot.cache.invalidate("user", "alice");
+    await bot.getUser("alice");
+    assert.equal(fetches(), 2);
+
+    await new Promise(resolve => setTimeout(resolve, 350));
+    await bot.getUser("alice");
+    assert.equal(fetches(), 3);
+});
+
+test("a file cache is written when the bot stops and loaded on the next start", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slchat-cache-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const cachePath = path.join(dir, "cache.json");
+
+    const first = await createTestBot({ logLevel: "silent", cacheBackend: "file", cachePath });
+    first.server.addUser({ id: "alice", name: "Alice" });
+    await first.bot.getUser("alice");
+    await first.stop();
+    assert.match(fs.readFileSync(cachePath, "utf8"), /user:alice/);
+
+    const second = await createTestBot({ logLevel: "silent", cacheBackend: "file", cachePath });
+    t.after(() => second.stop());
+    // This mock has never heard of alice, so the answer can only come from the file
+    assert.equal((await second.bot.getUser("alice")).name, "Alice");
+});
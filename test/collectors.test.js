@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot } = require("../mock.js");
+
+const SERVER = "test-server";
+
+test("a prompt resolves with the user's answer and the answer does not run as a command", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    let answered;
+    harness.bot.command("ask", async (ctx) => {
+        const answer = await ctx.prompt("Which command?", { timeout: 2000 });
+        answered = answer && answer.content;
+        await ctx.reply(`You said ${answered}`);
+    });
+
+    assert.deepEqual(await harness.say("!ask"), ["Which command?"]);
+    // Only the handler's reply arrives, not help's
+    assert.deepEqual(await harness.say("!help", { count: 1 }), ["You said !help"]);
+    assert.equal(answered, "!help");
+    await assert.rejects(harness.server.waitForMessages(SERVER, { timeout: 1500 }), /Timed out/);
+});
+
+test("a prompt only takes answers from the same user", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    harness.bot.command("name", async (ctx) => {
+        const answer = await ctx.prompt("Your name?", { timeout: 2000 });
+        await ctx.reply(`Hi ${answer.content}`);
+    });
+
+    await harness.say("!name", { user: { id: "alice" } });
+    harness.server.simulateMessage(SERVER, "Mallory", { id: "mallory" });
+    assert.deepEqual(await harness.say("Alice", { user: { id: "alice" } }), ["Hi Alice"]);
+});
+
+test("a prompt resolves with null on timeout", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    harness.bot.command("wait", async (ctx) => {
+        const answer = await ctx.prompt("Anyone?", { timeout: 200 });
+        await ctx.reply(answer === null ? "timeout" : "answered");
+    });
+
+    assert.deepEqual(await harness.say("!wait", { count: 2 }), ["Anyone?", "timeout"]);
+});
+
+test("a dialog converts answers and asks again after an invalid one", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    let result;
+    harness.bot.command("setup", async (ctx) => {
+        result = await ctx.dialog([
+            { key: "limit", prompt: "Limit?", type: "int", min: 1 },
+            { key: "mode", prompt: "Mode?", type: "enum", choices: ["strict", "relaxed"] }
+        ], { timeout: 3000 });
+        await ctx.reply("done");
+    });
+
+    assert.deepEqual(await harness.say("!setup"), ["Limit?"]);
+    const [retry] = await harness.say("zero");
+    assert.match(retry, /int/);
+    assert.deepEqual(await harness.say("5"), ["Mode?"]);
+    assert.deepEqual(await harness.say("strict"), ["done"]);
+    assert.deepEqual({ ...result }, { limit: 5, mode: "strict" });
+});
+
+test("createCollector collects up to max messages and ends with the reason", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent" });
+    t.after(() => harness.stop());
+
+    const collector = harness.bot.createCollector({ serverId: SERVER, filter: (ctx) => ctx.content.startsWith("vote"), max: 2, timeout: 3000 });
+    const ended = new Promise(resolve => collector.on("end", (collected, reason) => resolve([collected.map(ctx => ctx.content), reason])));
+    for (const text of ["hello", "vote a", "vote b", "vote c"]) harness.server.simulateMessage(SERVER, text);
+    assert.deepEqual(await ended, [["vote a", "vote b"], "limit"]);
+});
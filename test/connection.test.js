@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot } = require("../mock.js");
+
+const SERVER = "test-server";
+
+/**
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @returns {Promise<any[]>}
+ */
+function once(emitter, event) {
+    return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+test("the bot reconnects after an outage and sends what was queued meanwhile", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", reconnectBaseDelay: 100, reconnectMaxDelay: 200 });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+    const port = new URL(server.baseUrl).port;
+
+    const disconnected = once(bot.events, "disconnect");
+    await server.stop();
+    await disconnected;
+    assert.notEqual(bot.connectionState(SERVER), "connected");
+
+    const pending = bot.send("while down", SERVER);
+    const reconnected = once(bot.events, "connect");
+    await server.start(Number(port));
+    const received = server.waitForMessages(SERVER);
+    await reconnected;
+    assert.equal(bot.connectionState(SERVER), "connected");
+    assert.ok(await pending);
+    assert.deepEqual(await received, ["while down"]);
+});
+
+test("reconnecting gives up after reconnectAttempts and drops queued messages", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", reconnectAttempts: 2, reconnectBaseDelay: 50, reconnectMaxDelay: 100 });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+
+    const failed = once(bot.events, "reconnectFailed");
+    await server.stop();
+    const [serverId, attempts] = await failed;
+    assert.deepEqual([serverId, attempts], [SERVER, 2]);
+    assert.equal(bot.connectionState(SERVER), "failed");
+    assert.equal(await bot.send("lost", SERVER), false);
+});
+
+test("latency is measured from the heartbeat", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", mock: { pingInterval: 100 } });
+    t.after(() => harness.stop());
+    const { bot } = harness;
+
+    assert.equal(bot.ping(SERVER), null);
+    await new Promise(resolve => setTimeout(resolve, 350));
+    const latency = bot.ping(SERVER);
+    assert.equal(typeof latency, "number");
+    assert.ok(latency >= 0 && latency < 100, `latency ${latency}`);
+});
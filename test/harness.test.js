@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Bot } = require("../index.js");
+const { MockServer, createTestBot } = require("../mock.js");
+
+const SERVER = "test-server";
+
+test("say() sends a message as a user and resolves with the bot's replies", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    harness.bot.command("two", async (ctx) => {
+        await ctx.send("one");
+        await ctx.send("two");
+    });
+
+    assert.deepEqual(await harness.say("!two", { count: 2 }), ["one", "two"]);
+    assert.deepEqual(harness.server.sent.map(message => [message.serverId, message.botId]), [[SERVER, "test-bot"], [SERVER, "test-bot"]]);
+    await assert.rejects(harness.say("no command here", { timeout: 300 }), /Timed out after 300ms/);
+});
+
+test("the mock answers REST calls for seeded users and servers", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent" });
+    t.after(() => harness.stop());
+    harness.server.addServer({ id: "lobby", name: "Lobby", owner: "alice" });
+
+    assert.equal((await harness.bot.getServer("lobby")).name, "Lobby");
+    assert.equal(await harness.bot.getUser("nobody"), null);
+    assert.deepEqual(harness.server.requests.slice(-2).map(request => request.path), ["/api/server/lobby/", "/api/user/nobody/"]);
+});
+
+test("createTestBot resolves right away for a bot without servers", async () => {
+    const harness = await createTestBot({ logLevel: "silent", servers: [], connectTimeout: 500 });
+    assert.equal(harness.bot.connections.size, 0);
+    await harness.stop();
+});
+
+test("createTestBot rejects when the bot fails to start", async (t) => {
+    const getUser = Bot.prototype.getUser;
+    Bot.prototype.getUser = async () => null;
+    t.after(() => { Bot.prototype.getUser = getUser; });
+
+    await assert.rejects(createTestBot({ logLevel: "silent" }), /failed to start/);
+});
+
+test("createTestBot rejects when the sockets do not connect in time", async (t) => {
+    const start = MockServer.prototype.start;
+    MockServer.prototype.start = async function (...args) {
+        const baseUrl = await start.apply(this, args);
+        this.io.use((socket, next) => next(new Error("refused")));
+        return baseUrl;
+    };
+    t.after(() => { MockServer.prototype.start = start; });
+
+    await assert.rejects(createTestBot({ logLevel: "silent", autoReconnect: false, connectTimeout: 300 }), /connected to 0 of 1 server/);
+});
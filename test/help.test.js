@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot } = require("../mock.js");
+
+test("aliases and subcommands reach the right handler", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    harness.bot.command("config", null, {
+        aliases: ["cfg"],
+        subcommands: {
+            get: { args: [{ name: "key" }], run: (ctx, { key }) => ctx.reply(`get ${key}`) },
+            set: { args: [{ name: "key" }, { name: "value", rest: true }], run: (ctx, { key, value }) => ctx.reply(`set ${key}=${value}`) }
+        }
+    });
+
+    assert.deepEqual(await harness.say("!config get prefix"), ["get prefix"]);
+    assert.deepEqual(await harness.say("!cfg set prefix ? or !"), ["set prefix=? or !"]);
+    const [group] = await harness.say("!config");
+    assert.match(group, /config get/);
+    assert.match(group, /config set/);
+});
+
+test("a mistyped command gets a suggestion and help lists commands", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false, globalCommands: false });
+    t.after(() => harness.stop());
+    harness.bot.command("weather", (ctx) => ctx.reply("sunny"), { description: "Current weather" });
+    harness.bot.command("secret", (ctx) => ctx.reply("shh"), { hidden: true });
+
+    const [suggestion] = await harness.say("!wether");
+    assert.match(suggestion, /Did you mean !weather\?/);
+    const [help] = await harness.say("!help");
+    assert.match(help, /<code>!weather<\/code>/);
+    assert.doesNotMatch(help, /secret/);
+    const [details] = await harness.say("!help weather");
+    assert.match(details, /<h4>!weather<\/h4><br>Current weather/);
+});
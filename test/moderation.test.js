@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTestBot } = require("../mock.js");
+
+const SERVER = "test-server";
+
+test("a banned word warns the user instead of running the command", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false, moderation: { bannedWords: ["heck"] } });
+    t.after(() => harness.stop());
+    const violations = [];
+    harness.bot.events.on("moderation", (violation) => violations.push(violation));
+    harness.bot.command("echo", (ctx) => ctx.reply(ctx.args.join(" ")));
+
+    const [warning] = await harness.say("!echo what the HECK", { user: { id: "bob", name: "Bob" } });
+    assert.match(warning, /strike 1/);
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].rule, "bannedWord");
+    assert.equal(violations[0].action, "warn");
+    assert.deepEqual(await harness.say("!echo what the hectare", { user: { id: "bob", name: "Bob" } }), ["what the hectare"]);
+});
+
+test("users are muted after enough strikes and owners are exempt", async (t) => {
+    const harness = await createTestBot({
+        logLevel: "silent",
+        quoteReplies: false,
+        owners: ["boss"],
+        moderation: { bannedWords: ["spam"], strikes: { muteAt: 2, muteDuration: 60000 }, warnMessage: "warned {strikes}", muteMessage: "muted {minutes}" }
+    });
+    t.after(() => harness.stop());
+    const { bot } = harness;
+    bot.command("ping", (ctx) => ctx.reply("pong"));
+    const bob = { user: { id: "bob", name: "Bob" } };
+
+    assert.deepEqual(await harness.say("spam", bob), ["warned 1"]);
+    assert.deepEqual(await harness.say("spam", bob), ["muted 1"]);
+    assert.equal(bot.moderation.isMuted("bob", SERVER), true);
+    await assert.rejects(harness.say("!ping", { ...bob, timeout: 800 }), /Timed out/);
+
+    assert.deepEqual(await harness.say("!ping spam", { user: { id: "boss", name: "Boss" } }), ["pong"]);
+
+    bot.moderation.pardon("bob", SERVER);
+    assert.equal(bot.moderation.getStrikes("bob", SERVER), 0);
+    assert.deepEqual(await harness.say("!ping", bob), ["pong"]);
+});
+
+test("reloading an invalid rules file keeps the old rules", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slchat-moderation-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, "moderation.json");
+    fs.writeFileSync(file, JSON.stringify({ links: { deny: ["bad.example"] } }));
+
+    const errors = [];
+    const harness = await createTestBot({ logLevel: "silent", moderation: file, onError: (err, where) => errors.push(where) });
+    t.after(() => harness.stop());
+    const { bot } = harness;
+
+    fs.writeFileSync(file, "{ not json");
+    assert.equal(bot.moderation.reload(), false);
+    assert.deepEqual(errors, ["moderation"]);
+
+    const violation = new Promise(resolve => bot.events.once("moderation", resolve));
+    harness.server.simulateMessage(SERVER, "see https://www.bad.example/x");
+    assert.equal((await violation).rule, "link");
+});
@@ -0,0 +1,64 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTestBot } = require("../mock.js");
+
+test("a plugin's commands, middleware and events are removed when it is unloaded", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    const { bot } = harness;
+    const calls = [];
+
+    const name = await bot.loadPlugin({
+        name: "fun",
+        commands: { roll: { args: [{ name: "sides", type: "int", default: 6 }], run: (ctx, { sides }) => ctx.reply(`d${sides}`) } },
+        middleware: [(ctx, next) => { calls.push("middleware"); return next(); }],
+        events: { custom: () => calls.push("event") },
+        setup: () => calls.push("setup"),
+        teardown: () => calls.push("teardown")
+    });
+    assert.equal(name, "fun");
+    assert.deepEqual(await harness.say("!roll 20"), ["d20"]);
+    bot.events.emit("custom");
+    assert.deepEqual(calls, ["setup", "middleware", "event"]);
+
+    assert.equal(await bot.unloadPlugin("fun"), true);
+    bot.events.emit("custom");
+    await assert.rejects(harness.say("!roll", { timeout: 800 }), /Timed out/);
+    assert.deepEqual(calls, ["setup", "middleware", "event", "teardown"]);
+});
+
+test("unloading a plugin restores the command it replaced", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    const { bot } = harness;
+    bot.command("hello", (ctx) => ctx.reply("original"));
+
+    await bot.loadPlugin({ name: "a", commands: { hello: { run: (ctx) => ctx.reply("from a") } } });
+    await bot.loadPlugin({ name: "b", commands: { hello: { run: (ctx) => ctx.reply("from b") } } });
+    assert.deepEqual(await harness.say("!hello"), ["from b"]);
+
+    await bot.unloadPlugin("a");
+    assert.deepEqual(await harness.say("!hello"), ["from b"]);
+    await bot.unloadPlugin("b");
+    assert.deepEqual(await harness.say("!hello"), ["original"]);
+});
+
+test("loadPlugins skips hidden files and reports plugins that fail to load", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slchat-plugins-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, "good.js"), `module.exports = { commands: { good: { run: (ctx) => ctx.reply("good") } } };`);
+    fs.writeFileSync(path.join(dir, "broken.js"), `throw new Error("broken plugin");`);
+    fs.writeFileSync(path.join(dir, "_draft.js"), `throw new Error("should be skipped");`);
+
+    const errors = [];
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false, onError: (err, where) => errors.push([where, err.message]) });
+    t.after(() => harness.stop());
+
+    const loaded = await harness.bot.loadPlugins(dir);
+    assert.deepEqual(loaded, ["good"]);
+    assert.deepEqual(errors, [["loadPlugins", "broken plugin"]]);
+    assert.deepEqual(await harness.say("!good"), ["good"]);
+});
@@ -0,0 +1,27 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot } = require("../mock.js");
+
+test("the longest matching prefix wins and mentions work as a prefix", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false, prefix: ["!", "!!"], mentionPrefix: true });
+    t.after(() => harness.stop());
+    harness.bot.command("which", (ctx) => ctx.reply(`prefix=${ctx.prefix}`));
+
+    assert.deepEqual(await harness.say("!!which"), ["prefix=!!"]);
+    assert.deepEqual(await harness.say("@test-bot, which"), ["prefix=!"]);
+});
+
+test("a prefix function chooses the prefix per server", async (t) => {
+    const harness = await createTestBot({
+        logLevel: "silent",
+        quoteReplies: false,
+        servers: ["a", "b"],
+        prefix: (ctx) => ctx.serverId === "a" ? "?" : "$"
+    });
+    t.after(() => harness.stop());
+    harness.bot.command("hi", (ctx) => ctx.reply(`hi from ${ctx.serverId}`));
+
+    assert.deepEqual(await harness.say("?hi", { serverId: "a" }), ["hi from a"]);
+    assert.deepEqual(await harness.say("$hi", { serverId: "b" }), ["hi from b"]);
+    await assert.rejects(harness.say("$hi", { serverId: "a", timeout: 500 }), /Timed out/);
+});
@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot } = require("../mock.js");
+
+const SERVER = "test-server";
+
+test("higher priority messages leave the queue first", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent" });
+    t.after(() => harness.stop());
+
+    const replies = harness.server.waitForMessages(SERVER, { count: 3 });
+    harness.bot.send("a", SERVER);
+    harness.bot.send("b", SERVER);
+    harness.bot.send("c", SERVER, { priority: 1 });
+    assert.deepEqual(await replies, ["a", "c", "b"]);
+});
+
+test("a full queue drops the new message with dropNewest", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", maxQueueSize: 2, queuePolicy: "dropNewest" });
+    t.after(() => harness.stop());
+    const drops = [];
+    harness.bot.events.on("queueDrop", (...args) => drops.push(args));
+
+    const replies = harness.server.waitForMessages(SERVER, { count: 3 });
+    const results = await Promise.all(["a", "b", "c", "d"].map(text => harness.bot.send(text, SERVER)));
+    assert.deepEqual(results.map(Boolean), [true, true, true, false]);
+    assert.deepEqual(await replies, ["a", "b", "c"]);
+    assert.equal(drops.length, 1);
+});
+
+test("a full queue drops the oldest lowest-priority message with dropOldest", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", maxQueueSize: 2 });
+    t.after(() => harness.stop());
+
+    const replies = harness.server.waitForMessages(SERVER, { count: 3 });
+    const results = await Promise.all(["a", "b", "c", "d"].map(text => harness.bot.send(text, SERVER)));
+    assert.deepEqual(results.map(Boolean), [true, false, true, true]);
+    assert.deepEqual(await replies, ["a", "c", "d"]);
+});
+
+test("a full queue merges messages with the merge policy", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", maxQueueSize: 1, queuePolicy: "merge" });
+    t.after(() => harness.stop());
+
+    const replies = harness.server.waitForMessages(SERVER, { count: 2 });
+    await Promise.all(["a", "b", "c"].map(text => harness.bot.send(text, SERVER)));
+    assert.deepEqual(await replies, ["a", "b<br>c"]);
+});
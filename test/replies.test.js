@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot } = require("../mock.js");
+
+const SERVER = "test-server";
+
+test("a sent message learns its id from the echo, in the order messages were sent", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent" });
+    t.after(() => harness.stop());
+
+    const first = await harness.bot.send("same", SERVER);
+    const second = await harness.bot.send("same", SERVER);
+    assert.equal(await first.ready(), true);
+    assert.equal(await second.ready(), true);
+    assert.deepEqual([first.id, second.id], harness.server.sent.map(message => message.id));
+    assert.equal(first.message.content, "same");
+});
+
+test("an echo that matches nothing leaves pending messages waiting", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", mock: { echo: false }, echoTimeout: 1500 });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+
+    const sent = await bot.send("hello", SERVER);
+    const never = await bot.send("never echoed", SERVER);
+    const echo = (id, text) => server.push(SERVER, { server_id: SERVER, message: { id, text, owner: { id: "test-bot", name: "TestBot" } } });
+    echo("900", "something else");
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(sent.id, null);
+
+    echo("901", "hello");
+    assert.equal(await sent.ready(), true);
+    assert.equal(sent.id, "901");
+    assert.equal(await never.ready(), false);
+    assert.equal(never.id, null);
+});
+
+test("a reply starts with a quote of the message it answers", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent" });
+    t.after(() => harness.stop());
+    harness.bot.command("hi", (ctx) => ctx.reply("hello"));
+    harness.bot.command("plain", (ctx) => ctx.reply("hello", { quote: false }));
+
+    assert.deepEqual(await harness.say("!hi there"), ["<blockquote><strong>Tester</strong>: !hi there</blockquote>hello"]);
+    assert.deepEqual(await harness.say("!plain"), ["hello"]);
+});
+
+test("without splitting, the quote is shortened so the reply fits", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", splitLongMessages: false, maxMessageLength: 150 });
+    t.after(() => harness.stop());
+    harness.bot.command("hi", (ctx) => ctx.reply("hello"));
+    harness.bot.command("long", (ctx) => ctx.reply("y".repeat(150)));
+
+    const [reply] = await harness.say(`!hi ${"a&b ".repeat(30)}`);
+    assert.ok(reply.length <= 150, `${reply.length} > 150`);
+    assert.match(reply, /^<blockquote><strong>Tester<\/strong>: !hi a&amp;b [^<]*…<\/blockquote>hello$/);
+
+    // No room is left for any quote
+    assert.deepEqual(await harness.say("!long"), ["y".repeat(150)]);
+});
@@ -0,0 +1,98 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { RestClient, HTTPError, AuthError, RateLimitError } = require("../index.js");
+const { createTestBot } = require("../mock.js");
+
+/**
+ * Makes the mock answer the next `count` REST calls with `status`.
+ * @param {MockServer} server
+ * @param {number} status
+ * @param {number} count
+ * @param {Object<string, string>} [headers]
+ */
+function failRequests(server, status, count, headers = {}) {
+    const handle = server._handleRequest;
+    server._handleRequest = function (req, res) {
+        if (count-- <= 0 || req.url.startsWith("/socket.io/")) return handle.call(this, req, res);
+        res.writeHead(status, { "Content-Type": "application/json", ...headers });
+        res.end(JSON.stringify({ error: "Injected failure" }));
+    };
+}
+
+test("getUser and getServer resolve with null on 404", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent" });
+    t.after(() => harness.stop());
+
+    assert.equal(await harness.bot.getUser("nobody"), null);
+    assert.equal(await harness.bot.getServer("nowhere"), null);
+});
+
+test("GETs are retried after 5xx responses and a bad token throws AuthError", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", requestRetries: 2, retryBaseDelay: 10 });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+
+    failRequests(server, 503, 2);
+    const before = server.requests.length;
+    assert.equal((await bot.getServer("test-server")).id, "test-server");
+    assert.equal(server.requests.length - before, 1);
+
+    failRequests(server, 500, 3);
+    await assert.rejects(bot.getServer("other"), (err) => err instanceof HTTPError && err.status === 500);
+
+    server.token = "rotated";
+    bot.cache.invalidate("server");
+    await assert.rejects(bot.getServer("test-server"), AuthError);
+});
+
+test("POSTs are not retried after a 5xx response, only after a 429", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", requestRetries: 2, retryBaseDelay: 10 });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+    let attempts = 0;
+    server.on("change", () => attempts++);
+
+    failRequests(server, 502, 1);
+    await assert.rejects(bot.rest.post("/api/change", { change_key: "name", change_value: "A" }), (err) => err.status === 502);
+    assert.equal(attempts, 0);
+
+    failRequests(server, 429, 1, { "Retry-After": "0" });
+    await bot.rest.post("/api/change", { change_key: "name", change_value: "B" });
+    assert.deepEqual(server.changes.map(change => change.value), ["B"]);
+});
+
+test("a POST that timed out is not sent again, one that could not connect is", async (t) => {
+    let received = 0;
+    const slow = http.createServer(() => received++);
+    await new Promise(resolve => slow.listen(0, "127.0.0.1", resolve));
+    t.after(() => new Promise(resolve => {
+        slow.closeAllConnections();
+        slow.close(resolve);
+    }));
+    const { port } = slow.address();
+
+    const timedOut = new RestClient({ baseUrl: `http://127.0.0.1:${port}`, timeout: 100, retries: 2, retryBaseDelay: 10 });
+    await assert.rejects(timedOut.post("/api/change", { change_key: "x" }), HTTPError);
+    assert.equal(received, 1);
+
+    const attempts = [];
+    const refused = new RestClient({ baseUrl: "http://127.0.0.1:1", retries: 2, retryBaseDelay: 10, onResponse: (info) => attempts.push(info.status) });
+    await assert.rejects(refused.post("/api/change", { change_key: "x" }), (err) => err.status === 0 && !(err instanceof RateLimitError));
+    assert.deepEqual(attempts, ["error", "error", "error"]);
+});
+
+test("change and getJsonCache report failures to onError instead of throwing", async (t) => {
+    const errors = [];
+    const harness = await createTestBot({ logLevel: "silent", requestRetries: 0, onError: (err, where) => errors.push([where, err]) });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+
+    assert.equal(await bot.change("name", "Renamed"), true);
+    assert.deepEqual(server.changes.map(change => [change.key, change.value]), [["name", "Renamed"]]);
+
+    failRequests(server, 500, 1);
+    assert.equal(await bot.change("name", "Again"), false);
+    assert.equal(await bot.getJsonCache(`${server.baseUrl}/api/missing/`), null);
+    assert.deepEqual(errors.map(([where, err]) => [where, err instanceof HTTPError]), [["change", true], ["getJsonCache", true]]);
+});
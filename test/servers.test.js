@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestBot } = require("../mock.js");
+
+test("syncServers connects to new servers and leaves removed ones", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", servers: ["a", "b"] });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+    const joined = new Promise(resolve => bot.events.once("connect", resolve));
+
+    server.addServer({ id: "c" });
+    server.users.get("test-bot").servers = ["b", "c"];
+    assert.deepEqual(await bot.syncServers(), { joined: ["c"], left: ["a"] });
+    assert.equal(await joined, "c");
+    assert.deepEqual([...bot.connections.keys()].sort(), ["b", "c"]);
+});
+
+test("a sync that finishes after stop() does not open sockets", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", servers: ["a"] });
+    t.after(() => harness.server.stop());
+    const { bot, server } = harness;
+    const connections = [];
+    server.on("connection", (serverId) => connections.push(serverId));
+
+    // Hold the user lookup until the bot has stopped
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const handle = server._handleRequest;
+    server._handleRequest = function (req, res) {
+        if (req.url.startsWith("/api/user/")) return held.then(() => handle.call(this, req, res));
+        return handle.call(this, req, res);
+    };
+    server.users.get("test-bot").servers = ["a", "late"];
+    server.addServer({ id: "late" });
+
+    const sync = bot.syncServers();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await bot.stop();
+    release();
+    assert.equal(await sync, null);
+    assert.equal(await bot.syncServers(), null);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepEqual(connections, []);
+    assert.equal(bot.connections.has("late"), false);
+});
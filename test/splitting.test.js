@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { splitMessage } = require("../index.js");
+const { createTestBot } = require("../mock.js");
+
+const SERVER = "test-server";
+
+test("splitMessage keeps chunks under the limit and tags balanced", () => {
+    const html = `<div class="embed info">${"word ".repeat(60)}<br>${"more ".repeat(30)}</div>`;
+    const chunks = splitMessage(html, 100);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(chunk.length <= 100, `${chunk.length} > 100`);
+        assert.ok(chunk.startsWith(`<div class="embed info">`));
+        assert.ok(chunk.endsWith("</div>"));
+    }
+    const text = (value) => value.replace(/<[^>]+>|\s+/g, "");
+    assert.equal(text(chunks.join("")), text(html));
+});
+
+test("splitMessage cuts a single word that is longer than the limit", () => {
+    const chunks = splitMessage(`<b>${"x".repeat(250)}</b>`, 100);
+    assert.ok(chunks.every(chunk => chunk.length <= 100));
+    assert.equal(chunks.join("").replace(/<\/?b>/g, ""), "x".repeat(250));
+});
+
+test("long messages are sent as several messages", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", maxMessageLength: 100 });
+    t.after(() => harness.stop());
+
+    const replies = harness.server.waitForMessages(SERVER, { count: 2 });
+    const sent = await harness.bot.send(`${"a ".repeat(40)}\n${"b ".repeat(40)}`, SERVER);
+    assert.equal(sent.parts.length, 2);
+    for (const text of await replies) assert.ok(text.length <= 100);
+});
+
+test("a split message with more parts than maxQueueSize is dropped whole", async (t) => {
+    const errors = [];
+    const harness = await createTestBot({ logLevel: "silent", maxMessageLength: 100, maxQueueSize: 2, onError: (err) => errors.push(err) });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+
+    const first = bot.send("first", SERVER);
+    assert.equal(await bot.send(`${"word ".repeat(60)}`, SERVER), false);
+    assert.ok(await first);
+    assert.equal(bot.queueSize(), 0);
+    assert.match(errors[0], /dropped a message of 3 parts/);
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.deepEqual(server.sent.map(message => message.text), ["first"]);
+});
+
+test("a split message is sent without other messages in between and evicts only whole messages", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", maxMessageLength: 100, maxQueueSize: 3 });
+    t.after(() => harness.stop());
+    const { bot, server } = harness;
+
+    const replies = server.waitForMessages(SERVER, { count: 5, timeout: 8000 });
+    const sends = [
+        bot.send("now", SERVER),
+        bot.send("old", SERVER),
+        bot.send(`${"a ".repeat(40)}\n${"b ".repeat(40)}\n${"c ".repeat(40)}`, SERVER)
+    ];
+    // Waits until the first part is out, then jumps the queue
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    sends.push(bot.send("urgent", SERVER, { priority: 5 }));
+    const [now, old, split, urgent] = await Promise.all(sends);
+
+    assert.ok(now);
+    assert.equal(old, false);
+    assert.equal(split.parts.length, 3);
+    assert.ok(urgent);
+    const texts = await replies;
+    assert.equal(texts[0], "now");
+    assert.match(texts[1], /^a a/);
+    assert.match(texts[2], /^b b/);
+    assert.match(texts[3], /^c c/);
+    assert.equal(texts[4], "urgent");
+});
@@ -0,0 +1,133 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Bot, Store, FileStore, defaultLogger } = require("../index.js");
+const { createTestBot } = require("../mock.js");
+
+defaultLogger.setLevel("silent");
+
+/**
+ * @param {TestContext} t
+ * @returns {string} A temporary directory removed after the test
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slchat-store-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test("namespaces keep their keys apart and values are copied", async () => {
+    const store = new Store();
+    const settings = { tags: ["a"] };
+    await store.server("s1").set("settings", settings);
+    await store.server("s2").set("settings", { tags: [] });
+    settings.tags.push("b");
+
+    assert.deepEqual(await store.server("s1").get("settings"), { tags: ["a"] });
+    assert.deepEqual(await store.server("s1").keys(), ["settings"]);
+    assert.equal(await store.user("s1").get("settings", "none"), "none");
+    await store.server("s1").clear();
+    assert.equal(await store.server("s1").has("settings"), false);
+    assert.equal(await store.server("s2").has("settings"), true);
+});
+
+test("concurrent updates to one key are not lost", async () => {
+    const store = new Store();
+    const points = store.member("s1", "alice");
+    await Promise.all(Array.from({ length: 20 }, () => points.update("points", async (value) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return value + 1;
+    }, 0)));
+    assert.equal(await points.get("points"), 20);
+});
+
+test("commands read and write the store through the context", async (t) => {
+    const harness = await createTestBot({ logLevel: "silent", quoteReplies: false });
+    t.after(() => harness.stop());
+    harness.bot.command("daily", async (ctx) => {
+        const points = await ctx.memberData.update("points", (value) => value + 100, 0);
+        await ctx.reply(`${points} points`);
+    });
+
+    assert.deepEqual(await harness.say("!daily"), ["100 points"]);
+    assert.deepEqual(await harness.say("!daily"), ["200 points"]);
+    assert.equal(await harness.bot.store.member("test-server", "tester").get("points"), 200);
+});
+
+test("a file store survives a restart and skips a torn last line", async (t) => {
+    const file = path.join(tempDir(t), "store.jsonl");
+    const first = new FileStore({ path: file });
+    first.set("a", 1);
+    first.set("b", { nested: true });
+    await first.delete("a");
+    await first.close();
+    fs.appendFileSync(file, `{"k":"c","v":`);
+
+    const second = new FileStore({ path: file });
+    assert.deepEqual(second.keys(), ["b"]);
+    assert.deepEqual(second.get("b"), { nested: true });
+    // The torn line was rewritten away, so new lines are readable again
+    await second.set("c", 3);
+    await second.close();
+    assert.equal(new FileStore({ path: file }).get("c"), 3);
+});
+
+test("writes are batched, synced and leave the message loop free", async (t) => {
+    const file = path.join(tempDir(t), "store.jsonl");
+    const store = new FileStore({ path: file });
+    t.after(() => store.close());
+    const syncs = [];
+    const open = fs.promises.open;
+    fs.promises.open = async (...args) => {
+        const handle = await open(...args);
+        const sync = handle.sync.bind(handle);
+        handle.sync = () => {
+            syncs.push(fs.readFileSync(file, "utf8").split("\n").length - 1);
+            return sync();
+        };
+        return handle;
+    };
+    t.after(() => {
+        fs.promises.open = open;
+    });
+
+    const writes = Array.from({ length: 10 }, (_, i) => store.set(`key${i}`, i));
+    // Nothing is written before the caller gets control back
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(store.get("key9"), 9);
+    await Promise.all(writes);
+    assert.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 10);
+    assert.ok(syncs.length >= 1 && syncs.length < 10, `${syncs.length} syncs`);
+    assert.equal(syncs.at(-1), 10);
+});
+
+test("compaction keeps the latest value of every key", async (t) => {
+    const file = path.join(tempDir(t), "store.jsonl");
+    const store = new FileStore({ path: file, compactAt: 10 });
+    for (let i = 1; i <= 25; i++) await store.set("counter", i);
+    await store.close();
+
+    assert.ok(fs.readFileSync(file, "utf8").trim().split("\n").length < 10);
+    assert.equal(new FileStore({ path: file }).get("counter"), 25);
+});
+
+test("two bots can't share a store or cache file until the first one stops", async (t) => {
+    const dir = tempDir(t);
+    const options = name => ({
+        logLevel: "silent",
+        storeBackend: "file",
+        storePath: path.join(dir, `${name}.jsonl`),
+        cacheBackend: "file",
+        cachePath: path.join(dir, `${name}.json`)
+    });
+    const first = new Bot(options("first"));
+    assert.throws(() => new Bot({ ...options("second"), storePath: first.store.backend.path }), /already open in another FileStore/);
+    assert.throws(() => new Bot({ ...options("second"), cachePath: first.cache.backend.path }), /already open in another FileCache/);
+    // The bot that failed on the store released its cache file
+    await new Bot(options("second")).stop();
+
+    await first.stop();
+    await new Bot(options("first")).stop();
+});